@@ -0,0 +1,149 @@
+/**
+ * Command Line Arguments
+ *
+ * Parses subcommands and flags. Flags override values loaded from .env
+ */
+
+import { parseArgs as parseNodeArgs } from "util"
+
+export const COMMANDS = {
+  apply: "Log in and apply to the target issue for every configured account",
+  results: "Scrape the Application Report and track allotment results",
+  issues: "Log in and list issues on the ASBA page without applying",
+  edit: "Change the kitta of a submitted application (--issue and --kitta required)",
+  watch: "Stay logged in and apply for every account as soon as the target issue opens",
+  schedule: "Run the jobs in SCHEDULE on cron expressions in Nepal time (UTC+5:45)",
+  validate: "Check the .env configuration without launching a browser",
+  dps: "Scrape the DP list from the login page and cache it for validate",
+  history: "Show application results saved by previous runs",
+  accounts: "List configured accounts (credentials masked)",
+  ledger: "Show the run ledger, or \"ledger clear\" to remove entries (--account/--issue narrow it)",
+}
+
+const LEDGER_ACTIONS = ["list", "clear"]
+
+const OPTIONS = {
+  account: { type: "string", short: "a" },
+  issue: { type: "string", short: "i" },
+  kitta: { type: "string", short: "k" },
+  headless: { type: "boolean" },
+  headed: { type: "boolean" },
+  json: { type: "boolean" },
+  "dry-run": { type: "boolean" },
+  resume: { type: "boolean" },
+  reapply: { type: "boolean" },
+  interval: { type: "string" },
+  concurrency: { type: "string", short: "c" },
+  "shared-browser": { type: "boolean" },
+  "keep-watching": { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+}
+
+export const HELP_TEXT = `
+MeroShare ASBA Automation
+
+Usage:
+  meroshare-asba [command] [options]
+
+Commands:
+${Object.entries(COMMANDS)
+  .map(([name, description]) => `  ${name.padEnd(12)}${description}`)
+  .join("\n")}
+
+  Without a command, "apply" runs (or "results" when RESULTS_MODE=true).
+
+Options:
+  -a, --account <user|n>  Only process the account with this username or 1-based position
+  -i, --issue <name>      Target issue name (overrides TARGET_ISSUE_NAME and per-account issues)
+  -k, --kitta <n>         Kitta to apply (overrides APPLIED_KITTA and per-account kitta)
+      --headless          Run the browser headless (overrides HEADLESS_MODE)
+      --headed            Run the browser visible (overrides HEADLESS_MODE)
+  -c, --concurrency <n>   Accounts processed in parallel (overrides CONCURRENCY)
+      --shared-browser    Launch Chromium once, isolated context per account (SHARED_BROWSER)
+      --dry-run           Fill the form and stop before the PIN step (apply only)
+      --resume            Skip account/issue pairs the run ledger records as submitted (RESUME)
+      --reapply           Resubmit rejected applications while the issue is open (REAPPLY_REJECTED)
+      --interval <sec>    Seconds between ASBA page reloads in watch mode (WATCH_INTERVAL_SECONDS)
+      --keep-watching     Keep watching after applications were submitted (watch only)
+      --json              Print machine readable JSON on stdout, logs go to stderr
+  -h, --help              Show this help
+
+Examples:
+  meroshare-asba apply --issue "Citizens Santulit Yojana" --kitta 20 --headless
+  meroshare-asba apply --account 3 --dry-run
+  meroshare-asba apply --resume
+  meroshare-asba edit --account 2 --issue "Himalayan Hydro" --kitta 50
+  meroshare-asba ledger clear --account 2 --issue "Himalayan Hydro"
+  meroshare-asba results --account 2 --json
+  meroshare-asba issues --json
+  meroshare-asba watch --issue "Himalayan Hydro" --interval 30
+  meroshare-asba schedule
+  meroshare-asba validate
+`
+
+export function parseArgs(argv = process.argv.slice(2)) {
+  const { values, positionals } = parseNodeArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+    strict: true,
+  })
+
+  const [command = null, ...rest] = positionals
+  if (command && !COMMANDS[command]) {
+    throw new Error(`Unknown command "${command}". Run with --help to see available commands`)
+  }
+  //only the ledger command takes a sub-action
+  const action = command === "ledger" && LEDGER_ACTIONS.includes(rest[0]) ? rest.shift() : null
+  if (rest.length > 0) {
+    throw new Error(`Unexpected argument(s): ${rest.join(" ")}`)
+  }
+
+  if (values.headless && values.headed) {
+    throw new Error("--headless and --headed cannot be used together")
+  }
+
+  let interval
+  if (values.interval !== undefined) {
+    interval = Number.parseInt(values.interval, 10)
+    if (isNaN(interval) || interval <= 0) {
+      throw new Error(`--interval must be a positive number of seconds, got "${values.interval}"`)
+    }
+  }
+
+  let concurrency
+  if (values.concurrency !== undefined) {
+    concurrency = Number.parseInt(values.concurrency, 10)
+    if (isNaN(concurrency) || concurrency <= 0) {
+      throw new Error(`--concurrency must be a positive number, got "${values.concurrency}"`)
+    }
+  }
+
+  let kitta
+  if (values.kitta !== undefined) {
+    kitta = Number.parseInt(values.kitta, 10)
+    if (isNaN(kitta) || kitta <= 0 || String(kitta) !== values.kitta.trim()) {
+      throw new Error(`--kitta must be a positive whole number, got "${values.kitta}"`)
+    }
+  }
+
+  return {
+    command,
+    action,
+    help: values.help === true,
+    json: values.json === true,
+    overrides: {
+      account: values.account,
+      targetIssueName: values.issue,
+      appliedKitta: kitta,
+      headless: values.headless ? true : values.headed ? false : undefined,
+      dryRun: values["dry-run"] === true,
+      resume: values.resume === true,
+      reapply: values.reapply === true,
+      watchIntervalSeconds: interval,
+      concurrency,
+      sharedBrowser: values["shared-browser"] === true,
+      keepWatching: values["keep-watching"] === true,
+    },
+  }
+}
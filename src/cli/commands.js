@@ -0,0 +1,353 @@
+/**
+ * CLI Commands
+ *
+ * Each command returns the process exit code
+ */
+
+import { logger } from "../utils/logger.js"
+import { MeroShareAutomation } from "../core/automation.js"
+import { ResultScraper } from "../core/result-scraper.js"
+import { RunLedger } from "../core/run-ledger.js"
+import { DPScraper } from "../core/scraper.js"
+import { describeStrategy } from "../core/kitta-strategy.js"
+import { IssueWatcher } from "../core/issue-watcher.js"
+import { Scheduler } from "../scheduler/scheduler.js"
+import { nextRun, formatNepalTime } from "../scheduler/cron.js"
+import { printJson, printTable } from "./output.js"
+
+function maskValue(value) {
+  if (!value || value.length < 4) return "***"
+  return value.substring(0, 3) + "*".repeat(Math.min(value.length - 3, 5))
+}
+
+export async function runApply(config, options) {
+  const automation = new MeroShareAutomation(config)
+
+  try {
+    const results = await automation.executeAll()
+    if (options.json) printJson(results)
+
+    const successCount = results.filter((r) => r.success).length
+    const failCount = results.filter((r) => !r.success).length
+
+    if (failCount === 0) {
+      logger.info("")
+      logger.info(config.dryRun ? "Dry run completed for all accounts - nothing was submitted" : "All applications submitted successfully!")
+      return 0
+    } else if (successCount > 0) {
+      logger.warn("")
+      logger.warn(`${successCount} succeeded, ${failCount} failed. Check logs for details.`)
+      return 1
+    } else {
+      logger.error("")
+      logger.error("All applications failed. Check logs and screenshots for details.")
+      return 2
+    }
+  } finally {
+    await automation.cleanup()
+  }
+}
+
+/**
+ * edit --issue <name> --kitta <n>: change the kitta of submitted applications
+ */
+export async function runEdit(config, options) {
+  if (!options.overrides.targetIssueName || options.overrides.appliedKitta === undefined) {
+    logger.error("edit needs --issue <name> and --kitta <n>")
+    return 2
+  }
+
+  const automation = new MeroShareAutomation(config)
+  try {
+    const results = await automation.executeEditMode()
+    if (options.json) printJson(results)
+
+    const failCount = results.filter((r) => !r.success).length
+    if (failCount === 0) return 0
+    return failCount < results.length ? 1 : 2
+  } finally {
+    await automation.cleanup()
+  }
+}
+
+export async function runResults(config, options) {
+  const automation = new MeroShareAutomation(config)
+
+  try {
+    const results = await automation.executeResultsMode()
+    if (options.json) printJson(results)
+
+    const failCount = results.filter((r) => !r.success).length
+    if (failCount === 0) return 0
+    return failCount < results.length ? 1 : 2
+  } finally {
+    await automation.cleanup()
+  }
+}
+
+export async function runIssues(config, options) {
+  const automation = new MeroShareAutomation(config)
+  let issues
+  try {
+    issues = await automation.executeIssuesMode()
+  } finally {
+    await automation.cleanup()
+  }
+
+  if (options.json) {
+    printJson(issues)
+    return 0
+  }
+
+  if (issues.length === 0) {
+    logger.info("No issues are listed on the ASBA page right now")
+    return 0
+  }
+
+  printTable(
+    issues.map((issue) => ({ ...issue, applicable: issue.canApply ? "YES" : "NO" })),
+    [
+      { key: "name", title: "Issue" },
+      { key: "type", title: "Type" },
+      { key: "group", title: "Group" },
+      { key: "subGroup", title: "Sub Group" },
+      { key: "applicable", title: "Can Apply" },
+      { key: "action", title: "Button" },
+    ],
+  )
+  return 0
+}
+
+export async function runWatch(config, options) {
+  const watcher = new IssueWatcher(config)
+
+  const shutdown = async (signal) => {
+    logger.info(`${signal} received - stopping watcher`)
+    await watcher.stop()
+    process.exit(130)
+  }
+  process.once("SIGINT", shutdown)
+  process.once("SIGTERM", shutdown)
+
+  const results = await watcher.start()
+  if (options.json) printJson(results)
+
+  const failCount = results.filter((r) => !r.success).length
+  if (failCount === 0) return 0
+  return failCount < results.length ? 1 : 2
+}
+
+export async function runSchedule(config, options) {
+  //loaded lazily like in index.js, the config module is already initialised here
+  const { applyOverrides } = await import("../config/config.js")
+  const handlers = { apply: runApply, results: runResults }
+
+  const scheduler = new Scheduler(config.schedule, (job) =>
+    handlers[job.command](applyOverrides(job.overrides, config), { json: false }),
+  )
+
+  const shutdown = (signal) => {
+    logger.info(`${signal} received - stopping scheduler`)
+    process.exit(130)
+  }
+  process.once("SIGINT", shutdown)
+  process.once("SIGTERM", shutdown)
+
+  await scheduler.start()
+  return 0
+}
+
+/**
+ * Every account's dpName against the cached DP list; null when nothing is cached yet
+ */
+function checkDPNames(config) {
+  const cache = DPScraper.loadCache()
+  if (!cache) return null
+
+  const errors = []
+  config.accounts.forEach((acc, i) => {
+    try {
+      DPScraper.findInCache(acc.dpName, cache)
+    } catch (error) {
+      errors.push(`Account ${i + 1}: ${error.message}`)
+    }
+  })
+  return errors
+}
+
+export async function runValidate(config, options) {
+  const accounts = describeAccounts(config)
+  const dpErrors = checkDPNames(config)
+
+  const jobs = config.schedule.map((job) => ({
+    name: job.name,
+    command: job.command,
+    cron: job.cron.expression,
+    next: formatNepalTime(nextRun(job.cron)),
+  }))
+
+  if (options.json) {
+    printJson({ valid: !dpErrors?.length, accounts, schedule: jobs, dpErrors })
+  } else if (dpErrors?.length) {
+    dpErrors.forEach((error) => logger.error(error))
+    logger.error("Fix dpName (or run the dps command again if the DP list changed)")
+  } else {
+    logger.info(`Configuration is valid: ${accounts.length} account(s)`)
+    if (!dpErrors) {
+      logger.info("DP names not checked: run the dps command once to cache the DP list")
+    }
+    printTable(accounts, ACCOUNT_COLUMNS)
+    if (jobs.length > 0) {
+      process.stdout.write("\n")
+      printTable(jobs, [
+        { key: "name", title: "Job" },
+        { key: "command", title: "Command" },
+        { key: "cron", title: "Cron (NPT)" },
+        { key: "next", title: "Next Run" },
+      ])
+    }
+  }
+  return dpErrors?.length ? 2 : 0
+}
+
+/**
+ * Scrape the DP list from the login page and cache it for validate
+ */
+export async function runDPs(config, options) {
+  const automation = new MeroShareAutomation(config)
+  let dps
+  try {
+    dps = await automation.executeDPListMode()
+  } finally {
+    await automation.cleanup()
+  }
+  DPScraper.saveCache(dps)
+
+  if (options.json) {
+    printJson(dps)
+  } else {
+    printTable(dps, [
+      { key: "code", title: "Code" },
+      { key: "name", title: "DP" },
+    ])
+    logger.info(`${dps.length} DPs cached - validate now checks dpName offline`)
+  }
+  return 0
+}
+
+export async function runAccounts(config, options) {
+  const accounts = describeAccounts(config)
+
+  if (options.json) {
+    printJson(accounts)
+  } else {
+    printTable(accounts, ACCOUNT_COLUMNS)
+  }
+  return 0
+}
+
+export async function runHistory(config, options) {
+  let saved
+  try {
+    saved = ResultScraper.loadSavedResults()
+  } catch (error) {
+    logger.error(`Could not read saved results: ${error.message}`)
+    return 2
+  }
+
+  const history = config.accounts
+    .filter((acc) => saved[acc.username])
+    .map((acc) => ({
+      account: maskValue(acc.username),
+      dp: acc.dpName,
+      lastUpdated: saved[acc.username].lastUpdated,
+      applications: saved[acc.username].applications || [],
+    }))
+
+  if (options.json) {
+    printJson(history)
+    return 0
+  }
+
+  if (history.length === 0) {
+    logger.info("No saved results yet. Run the results command first.")
+    return 0
+  }
+
+  for (const entry of history) {
+    process.stdout.write(`\n${entry.account} (${entry.dp}) - updated ${entry.lastUpdated}\n`)
+    printTable(entry.applications, [
+      { key: "companyName", title: "Issue" },
+      { key: "type", title: "Type" },
+      { key: "status", title: "Status" },
+      { key: "appliedQty", title: "Applied" },
+      { key: "allotedQty", title: "Alloted" },
+      { key: "submittedDate", title: "Submitted" },
+    ])
+  }
+  return 0
+}
+
+/**
+ * ledger [list] prints entries, ledger clear removes them; --account and --issue narrow both
+ */
+export async function runLedger(config, options) {
+  const ledger = new RunLedger()
+  const filter = {
+    accounts: options.overrides.account ? config.accounts.map((acc) => acc.username) : [],
+    issue: options.overrides.targetIssueName || null,
+  }
+
+  if (options.action === "clear") {
+    const removed = ledger.clear(filter)
+    if (options.json) printJson({ removed })
+    logger.info(`Removed ${removed} ledger entr${removed === 1 ? "y" : "ies"}`)
+    return 0
+  }
+
+  const entries = ledger.list(filter).map((entry) => ({ ...entry, account: maskValue(entry.account) }))
+  if (options.json) {
+    printJson(entries)
+    return 0
+  }
+  if (entries.length === 0) {
+    logger.info("Run ledger is empty. Entries are added by the apply command.")
+    return 0
+  }
+
+  printTable(entries, [
+    { key: "time", title: "Time" },
+    { key: "account", title: "Account" },
+    { key: "issue", title: "Issue" },
+    { key: "outcome", title: "Outcome" },
+    { key: "reference", title: "Reference" },
+  ])
+  return 0
+}
+
+const ACCOUNT_COLUMNS = [
+  { key: "position", title: "#" },
+  { key: "account", title: "Account" },
+  { key: "dp", title: "DP" },
+  { key: "issue", title: "Target Issues" },
+  { key: "kitta", title: "Kitta" },
+  { key: "crn", title: "CRN" },
+  { key: "bank", title: "Bank" },
+]
+
+function describeAccounts(config) {
+  return config.accounts.map((acc, i) => ({
+    position: i + 1,
+    account: maskValue(acc.username),
+    dp: acc.dpName,
+    issue: acc.autoApply ? "(auto-apply rules)" : acc.targetIssues.map((target) => target.name).join(", "),
+    kitta:
+      acc.kittaStrategy.type !== "fixed"
+        ? describeStrategy(acc.kittaStrategy)
+        : acc.autoApply
+          ? (acc.autoApply.kitta ?? acc.appliedKitta)
+          : acc.targetIssues.map((target) => target.kitta).join(", "),
+    crn: acc.crnNumber ? "set" : "missing",
+    bank: [acc.bankName, acc.bankAccount && `*${acc.bankAccount.slice(-4)}`].filter(Boolean).join(" ") || "(first listed)",
+  }))
+}
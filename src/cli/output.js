@@ -0,0 +1,34 @@
+/**
+ * Command Output
+ *
+ * Plain table and JSON printing on stdout, kept apart from the logger
+ * so scripts can parse what a command returns
+ */
+
+export function printJson(data) {
+  process.stdout.write(`${JSON.stringify(data, null, 2)}\n`)
+}
+
+/**
+ * columns: [{ key, title }] - values are read from each row by key
+ */
+export function printTable(rows, columns) {
+  const cell = (value) => (value === null || value === undefined ? "" : String(value))
+  const widths = columns.map((col) =>
+    Math.max(col.title.length, ...rows.map((row) => cell(row[col.key]).length)),
+  )
+
+  const line = (values) =>
+    values
+      .map((value, i) => value.padEnd(widths[i]))
+      .join("  ")
+      .trimEnd()
+
+  const output = [
+    line(columns.map((col) => col.title)),
+    line(widths.map((w) => "-".repeat(w))),
+    ...rows.map((row) => line(columns.map((col) => cell(row[col.key])))),
+  ]
+
+  process.stdout.write(`${output.join("\n")}\n`)
+}
@@ -10,12 +10,24 @@ import dotenv from "dotenv"
 import { fileURLToPath } from "url"
 import { dirname, join } from "path"
 import { logger } from "../utils/logger.js"
+import { normalizeRules } from "../core/issue-policy.js"
+import { parseStrategy } from "../core/kitta-strategy.js"
+import { parseJobs } from "../scheduler/scheduler.js"
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 
 dotenv.config({ path: join(__dirname, "../../.env") })
 
+//each parallel account runs its own Chromium, keep memory use sane
+const MAX_CONCURRENCY = 10
+
+//spending ceiling in rupees, null when not set
+function parseAmount(value) {
+  if (value === undefined || value === null || value === "") return null
+  return Number.parseFloat(String(value).replace(/,/g, ""))
+}
+
 class ConfigValidator {
   static validateAccount(account, index = 0) {
     const prefix = index > 0 ? `Account ${index}: ` : ""
@@ -36,6 +48,62 @@ class ConfigValidator {
     if (isNaN(kitta) || kitta <= 0) {
       throw new Error(`${prefix}Applied kitta must be a positive number`)
     }
+
+    if (account.maxAmount !== null && (isNaN(account.maxAmount) || account.maxAmount <= 0)) {
+      throw new Error(`${prefix}Maximum amount must be a positive number of rupees`)
+    }
+
+    if (account.bankAccount && !/^\d{3,}$/.test(account.bankAccount)) {
+      throw new Error(`${prefix}Bank account must be the account number or at least its last 3 digits`)
+    }
+
+    for (const target of account.targetIssues || []) {
+      if (!target.name) {
+        throw new Error(`${prefix}Every entry in issues needs a name`)
+      }
+      if (isNaN(target.kitta) || target.kitta <= 0) {
+        throw new Error(`${prefix}Kitta for "${target.name}" must be a positive number`)
+      }
+    }
+  }
+
+  /**
+   * issues: ["Issue A", { "name": "Issue B", "kitta": 50 }]
+   * Falls back to a single issue from targetIssueName / appliedKitta
+   */
+  static parseTargetIssues(issues, defaultName, defaultKitta) {
+    if (issues === undefined || issues === null || issues === "") {
+      return defaultName ? [{ name: defaultName, kitta: defaultKitta }] : []
+    }
+    if (typeof issues === "string") {
+      try {
+        issues = JSON.parse(issues)
+      } catch {
+        throw new Error("TARGET_ISSUES must be valid JSON. Check your .env file.")
+      }
+    }
+    if (!Array.isArray(issues)) {
+      throw new Error("issues must be a JSON array of issue names or { name, kitta } objects")
+    }
+
+    return issues.map((issue) =>
+      typeof issue === "string"
+        ? { name: issue.trim(), kitta: defaultKitta }
+        : {
+            name: (issue.name || issue.issue || "").trim(),
+            kitta: Number.parseInt(issue.kitta ?? issue.appliedKitta ?? defaultKitta),
+          },
+    )
+  }
+
+  static withTargetIssues(account, issues) {
+    const targetIssues = ConfigValidator.parseTargetIssues(issues, account.targetIssueName, account.appliedKitta)
+    return {
+      ...account,
+      targetIssues,
+      targetIssueName: targetIssues[0]?.name ?? account.targetIssueName,
+      appliedKitta: targetIssues[0]?.kitta ?? account.appliedKitta,
+    }
   }
 
   static parseAccounts() {
@@ -47,17 +115,35 @@ class ConfigValidator {
         if (!Array.isArray(accounts) || accounts.length === 0) {
           throw new Error("ACCOUNTS must be a non-empty JSON array")
         }
-        return accounts.map((acc, i) => ({
-          username: acc.username,
-          password: acc.password,
-          dpName: acc.dpName || acc.dp_name,
-          crnNumber: acc.crnNumber || acc.crn || "",
-          transactionPin: acc.transactionPin || acc.pin,
-          appliedKitta: Number.parseInt(acc.appliedKitta || acc.kitta || "10"),
-          targetIssueName: acc.targetIssueName || acc.issue || process.env.TARGET_ISSUE_NAME,
-        }))
+        return accounts.map((acc, i) => {
+          const ownIssue = acc.targetIssueName || acc.issue
+          return ConfigValidator.withTargetIssues(
+            {
+              username: acc.username,
+              password: acc.password,
+              dpName: String(acc.dpName || acc.dp_name || acc.dpCode || ""),
+              crnNumber: acc.crnNumber || acc.crn || "",
+              transactionPin: acc.transactionPin || acc.pin,
+              bankName: acc.bankName || acc.bank || "",
+              bankAccount: String(acc.bankAccount || acc.accountNumber || "").replace(/[\s-]/g, ""),
+              appliedKitta: Number.parseInt(acc.appliedKitta || acc.kitta || "10"),
+              kittaStrategy: parseStrategy(acc.kittaStrategy ?? process.env.KITTA_STRATEGY),
+              maxAmount: parseAmount(acc.maxAmount ?? process.env.MAX_AMOUNT),
+              targetIssueName: ownIssue || process.env.TARGET_ISSUE_NAME,
+              //an account that names its own issues keeps them, the global rules do not take over
+              autoApply: normalizeRules(
+                acc.autoApply !== undefined
+                  ? acc.autoApply
+                  : ownIssue || acc.issues || acc.targetIssues
+                    ? undefined
+                    : process.env.AUTO_APPLY_RULES,
+              ),
+            },
+            acc.issues || acc.targetIssues || (ownIssue ? undefined : process.env.TARGET_ISSUES),
+          )
+        })
       } catch (e) {
-        if (e.message.includes("JSON")) {
+        if (e instanceof SyntaxError) {
           throw new Error("ACCOUNTS must be valid JSON. Check your .env file.")
         }
         throw e
@@ -66,15 +152,23 @@ class ConfigValidator {
 
     // if single account 
     return [
-      {
-        username: process.env.MEROSHARE_USERNAME,
-        password: process.env.MEROSHARE_PASSWORD,
-        dpName: process.env.MEROSHARE_DP_NAME,
-        crnNumber: process.env.CRN_NUMBER || "",
-        transactionPin: process.env.TRANSACTION_PIN,
-        appliedKitta: Number.parseInt(process.env.APPLIED_KITTA || "10"),
-        targetIssueName: process.env.TARGET_ISSUE_NAME,
-      },
+      ConfigValidator.withTargetIssues(
+        {
+          username: process.env.MEROSHARE_USERNAME,
+          password: process.env.MEROSHARE_PASSWORD,
+          dpName: process.env.MEROSHARE_DP_NAME || process.env.MEROSHARE_DP_CODE,
+          crnNumber: process.env.CRN_NUMBER || "",
+          transactionPin: process.env.TRANSACTION_PIN,
+          bankName: process.env.BANK_NAME || "",
+          bankAccount: (process.env.BANK_ACCOUNT_NUMBER || "").replace(/[\s-]/g, ""),
+          appliedKitta: Number.parseInt(process.env.APPLIED_KITTA || "10"),
+          kittaStrategy: parseStrategy(process.env.KITTA_STRATEGY),
+          maxAmount: parseAmount(process.env.MAX_AMOUNT),
+          targetIssueName: process.env.TARGET_ISSUE_NAME,
+          autoApply: normalizeRules(process.env.AUTO_APPLY_RULES),
+        },
+        process.env.TARGET_ISSUES,
+      ),
     ]
   }
 }
@@ -91,11 +185,24 @@ export const config = {
   appliedKitta: accounts[0].appliedKitta,
   targetIssueName: accounts[0].targetIssueName,
   headless: process.env.HEADLESS_MODE === "true",
+  challengeWaitSeconds: Number.parseInt(process.env.CHALLENGE_WAIT_SECONDS || "300"),
   resultsMode: process.env.RESULTS_MODE === "true",
+  dryRun: process.env.DRY_RUN === "true",
+  resume: process.env.RESUME === "true",
+  reapply: process.env.REAPPLY_REJECTED === "true",
+  concurrency: Number.parseInt(process.env.CONCURRENCY || "1"),
+  sharedBrowser: process.env.SHARED_BROWSER === "true",
+  watchIntervalSeconds: Number.parseInt(process.env.WATCH_INTERVAL_SECONDS || "60"),
+  watchMaxBackoffSeconds: Number.parseInt(process.env.WATCH_MAX_BACKOFF_SECONDS || "600"),
+  watchExitOnSuccess: process.env.WATCH_EXIT_ON_SUCCESS !== "false",
+  schedule: parseJobs(process.env.SCHEDULE),
   browserTimeout: Number.parseInt(process.env.BROWSER_TIMEOUT || "30000"),
   navigationTimeout: Number.parseInt(process.env.NAVIGATION_TIMEOUT || "60000"),
   screenshotOnError: process.env.SCREENSHOT_ON_ERROR !== "false",
   maxRetryAttempts: Number.parseInt(process.env.MAX_RETRY_ATTEMPTS || "3"),
+  outageThreshold: Number.parseInt(process.env.OUTAGE_FAILURE_THRESHOLD || "2"),
+  outageWaitMinutes: Number.parseInt(process.env.OUTAGE_WAIT_MINUTES || "0"),
+  outageProbeSeconds: Number.parseInt(process.env.OUTAGE_PROBE_SECONDS || "60"),
   actionDelayMin: Number.parseInt(process.env.ACTION_DELAY_MIN || "500"),
   actionDelayMax: Number.parseInt(process.env.ACTION_DELAY_MAX || "2000"),
 
@@ -111,3 +218,93 @@ export const config = {
 }
 
 logger.info(`configuration loaded: ${accounts.length} account(s) configured sucees`)
+
+/**
+ * Apply command line overrides on top of the values loaded from .env
+ *
+ * account: username or 1-based position of the account to keep
+ * Returns a new config object, `base` is left untouched (scheduled jobs reuse it)
+ */
+export function applyOverrides(overrides = {}, base = config) {
+  const result = { ...base }
+
+  if (overrides.account) {
+    const wanted = overrides.account.trim()
+    const position = /^\d+$/.test(wanted) ? Number.parseInt(wanted, 10) : null
+    const selected = result.accounts.filter((acc, i) => acc.username === wanted || i + 1 === position)
+    if (selected.length === 0) {
+      throw new Error(`No configured account matches "${wanted}" (use a username or 1-${result.accounts.length})`)
+    }
+    result.accounts = selected
+  }
+
+  result.accounts = result.accounts.map((acc) => {
+    let targetIssues = acc.targetIssues
+    if (overrides.targetIssueName !== undefined) {
+      targetIssues = [{ name: overrides.targetIssueName, kitta: acc.appliedKitta }]
+    }
+    if (overrides.appliedKitta !== undefined) {
+      targetIssues = targetIssues.map((target) => ({ ...target, kitta: overrides.appliedKitta }))
+    }
+    return ConfigValidator.withTargetIssues(
+      {
+        ...acc,
+        //--kitta means exactly that many, whatever the strategy
+        ...(overrides.appliedKitta !== undefined && {
+          appliedKitta: overrides.appliedKitta,
+          kittaStrategy: parseStrategy("fixed"),
+        }),
+        //an issue named on the command line replaces the auto-apply rules for this run
+        ...(overrides.targetIssueName !== undefined && { autoApply: null }),
+      },
+      targetIssues,
+    )
+  })
+  result.accounts.forEach((acc, i) =>
+    ConfigValidator.validateAccount(acc, result.accounts.length > 1 ? i + 1 : 0),
+  )
+
+  if (overrides.headless !== undefined) {
+    result.headless = overrides.headless
+  }
+  if (overrides.dryRun) {
+    result.dryRun = true
+  }
+  if (overrides.resume) {
+    result.resume = true
+  }
+  if (overrides.reapply) {
+    result.reapply = true
+  }
+  if (overrides.watchIntervalSeconds !== undefined) {
+    result.watchIntervalSeconds = overrides.watchIntervalSeconds
+  }
+  if (overrides.keepWatching) {
+    result.watchExitOnSuccess = false
+  }
+  if (overrides.sharedBrowser) {
+    result.sharedBrowser = true
+  }
+  if (overrides.concurrency !== undefined) {
+    result.concurrency = overrides.concurrency
+  }
+  if (isNaN(result.concurrency) || result.concurrency < 1 || result.concurrency > MAX_CONCURRENCY) {
+    throw new Error(`Concurrency must be between 1 and ${MAX_CONCURRENCY}`)
+  }
+  if (isNaN(result.watchIntervalSeconds) || result.watchIntervalSeconds < 10) {
+    throw new Error("Watch interval must be at least 10 seconds")
+  }
+
+  const [first] = result.accounts
+  Object.assign(result, {
+    username: first.username,
+    password: first.password,
+    dpName: first.dpName,
+    crnNumber: first.crnNumber,
+    transactionPin: first.transactionPin,
+    appliedKitta: first.appliedKitta,
+    targetIssueName: first.targetIssueName,
+  })
+
+  return result
+}
@@ -10,6 +10,13 @@ export const URLS = {
   DASHBOARD: "https://meroshare.cdsc.com.np/#/dashboard",
   ASBA: "https://meroshare.cdsc.com.np/#/asba",
   APPLICATION_REPORT: "https://meroshare.cdsc.com.np/#/applicantForm/report",
+  //backend call behind the login page DP list, used to probe for an outage
+  DP_LIST_API: "https://webbackend.cdsc.com.np/api/meroShare/capital/",
+}
+
+//backend endpoints whose responses decide an outcome, matched against captured response urls
+export const API_PATTERNS = {
+  SUBMISSION: /\/applicantForm\/share\/(re)?apply/i,
 }
 
 export const SELECTORS = {
@@ -97,6 +104,50 @@ export const ERROR_CODES = {
     category: "Authentication",
     severity: "HIGH",
     retryable: false,
+    hint: "Log in on MeroShare in a browser to see what it reports, then run again",
+  },
+  //login states that need the account holder, never retried (each attempt counts toward a lockout)
+  INVALID_CREDENTIALS: {
+    code: "AUTH_002",
+    category: "Authentication",
+    severity: "HIGH",
+    retryable: false,
+    hint: "Check the username, password and DP of this account in .env",
+  },
+  ACCOUNT_LOCKED: {
+    code: "AUTH_003",
+    category: "Authentication",
+    severity: "CRITICAL",
+    retryable: false,
+    hint: "Account is locked after failed attempts: unlock it with Forgot Password on MeroShare or through your DP",
+  },
+  PASSWORD_EXPIRED: {
+    code: "AUTH_004",
+    category: "Authentication",
+    severity: "HIGH",
+    retryable: false,
+    hint: "Password has expired: log in on MeroShare, set a new password and update .env",
+  },
+  PASSWORD_CHANGE_REQUIRED: {
+    code: "AUTH_005",
+    category: "Authentication",
+    severity: "HIGH",
+    retryable: false,
+    hint: "MeroShare asks for a password change: change it on MeroShare by hand and update .env",
+  },
+  SESSION_EXPIRED: {
+    code: "AUTH_006",
+    category: "Authentication",
+    severity: "MEDIUM",
+    retryable: false,
+  },
+  //captcha, otp or bot check: the flow cannot continue on its own
+  SECURITY_INTERRUPTION: {
+    code: "SEC_001",
+    category: "Security Challenge",
+    severity: "CRITICAL",
+    retryable: false,
+    hint: "Complete the CAPTCHA/OTP on MeroShare, or run with --headed and CHALLENGE_WAIT_SECONDS to solve it in the browser",
   },
   NAVIGATION_ERROR: {
     code: "NAV_001",
@@ -104,6 +155,12 @@ export const ERROR_CODES = {
     severity: "MEDIUM",
     retryable: true,
   },
+  TIMEOUT_ERROR: {
+    code: "TMO_001",
+    category: "Timeout",
+    severity: "MEDIUM",
+    retryable: true,
+  },
   SELECTOR_ERROR: {
     code: "SEL_001",
     category: "Selector",
@@ -122,18 +179,58 @@ export const ERROR_CODES = {
     severity: "MEDIUM",
     retryable: false,
   },
+  INVALID_PIN: {
+    code: "VAL_002",
+    category: "Validation",
+    severity: "HIGH",
+    retryable: false,
+    hint: "Check the transaction PIN of this account in .env",
+  },
+  INVALID_CRN: {
+    code: "VAL_003",
+    category: "Validation",
+    severity: "HIGH",
+    retryable: false,
+    hint: "Check the CRN of this account in .env (your bank issues it)",
+  },
   BUSINESS_LOGIC_ERROR: {
     code: "BIZ_001",
     category: "Business Logic",
     severity: "MEDIUM",
     retryable: false,
   },
+  ALREADY_APPLIED: {
+    code: "BIZ_002",
+    category: "Business Logic",
+    severity: "LOW",
+    retryable: false,
+  },
+  ISSUE_CLOSED: {
+    code: "BIZ_003",
+    category: "Business Logic",
+    severity: "MEDIUM",
+    retryable: false,
+  },
+  INSUFFICIENT_BALANCE: {
+    code: "BIZ_004",
+    category: "Business Logic",
+    severity: "MEDIUM",
+    retryable: false,
+    hint: "Add funds to the bank account, then run with --reapply while the issue is open",
+  },
   NETWORK_ERROR: {
     code: "NET_001",
     category: "Network/Server",
     severity: "HIGH",
     retryable: true,
   },
+  //maintenance page or backend down: the circuit breaker decides, not the step retry
+  SITE_UNAVAILABLE: {
+    code: "NET_002",
+    category: "Network/Server",
+    severity: "CRITICAL",
+    retryable: false,
+  },
 }
 
 export const USER_AGENTS = [
@@ -0,0 +1,1061 @@
+/**
+ * Automation Runner
+ *
+ * Drives the apply and results flows for every configured account
+ */
+
+import { logger, withLogPrefix } from "../utils/logger.js"
+import { runWithConcurrency } from "../utils/helpers.js"
+import { BrowserManager } from "./browser.js"
+import { LoginHandler } from "./login.js"
+import { IssueDetector } from "./issue-detector.js"
+import { IssuePolicy } from "./issue-policy.js"
+import { parseStrategy } from "./kitta-strategy.js"
+import { FormAutomation } from "./form-automation.js"
+import { ChallengeGuard } from "./security-challenge.js"
+import { ResultScraper, isCurrentIssue } from "./result-scraper.js"
+import { DPScraper } from "./scraper.js"
+import { ERROR_CODES } from "../config/constants.js"
+import { RunLedger, OUTCOMES } from "./run-ledger.js"
+import { NetworkMonitor } from "../monitoring/network-monitor.js"
+import { ErrorClassifier } from "../errors/error-classifier.js"
+import { ErrorHandler } from "../errors/error-handler.js"
+import { withRetry } from "../errors/retry.js"
+import { CircuitBreaker, findMaintenanceNotice } from "./circuit-breaker.js"
+import { Notifier } from "../notifications/notifier.js"
+
+//report statuses that MeroShare lets an applicant fix with Reapply
+const REJECTED_STATUS = /reject|fail/i
+
+export class MeroShareAutomation {
+  constructor(config) {
+    this.config = config
+    this.sessions = new Set()
+    this.sharedBrowser = null
+    this.results = []
+    //rows of each account of the last executeAll, in config order
+    this.accountResults = []
+    this.ledger = new RunLedger()
+    this.breaker = null
+  }
+
+  getConcurrency(totalAccounts) {
+    return Math.max(1, Math.min(this.config.concurrency || 1, totalAccounts))
+  }
+
+  async executeAll() {
+    const totalAccounts = this.config.accounts.length
+    const concurrency = this.getConcurrency(totalAccounts)
+
+    this.printHeader(totalAccounts)
+    this.breaker = new CircuitBreaker(this.config)
+
+    const perAccount = await runWithConcurrency(this.config.accounts, concurrency, async (account, i) => {
+      const label = totalAccounts > 1 ? `[Account ${i + 1}/${totalAccounts}]` : ""
+      await this.waitForTurn(i, concurrency, 3000, 5000)
+      //site down: the remaining accounts are not tried unless it comes back in the wait window
+      if (this.breaker.isOpen && !(await this.breaker.waitForRecovery())) {
+        return this.notAttemptedRows(account)
+      }
+      const rows = await withLogPrefix(label, () => this.processAccount(account))
+      this.breaker.recordAccount(rows)
+      return rows
+    })
+
+    this.accountResults = this.config.accounts.map((account, i) => ({ account, rows: perAccount[i] }))
+    this.results.push(...perAccount.flat())
+    this.printSummary()
+
+    return this.results
+  }
+
+  /**
+   * Stagger the first parallel launches, then pause between accounts on each worker
+   */
+  async waitForTurn(index, concurrency, min, max) {
+    if (index === 0) return
+    if (index < concurrency) return this.delay(index * 2000)
+    logger.info("Waiting before next account...")
+    return this.delay(min, max)
+  }
+
+  async processAccount(account) {
+    const rows = []
+
+    logger.info("")
+    logger.info(`Processing: ${this.maskValue(account.username)}`)
+    logger.info(`DP: ${account.dpName}`)
+    if (account.autoApply) {
+      const { shareTypes, shareGroups, subGroups } = account.autoApply
+      logger.info(`Target: auto-apply rules (${[...shareTypes, ...shareGroups, ...subGroups].join(" / ")})`)
+    } else {
+      account.targetIssues.forEach((target) => {
+        logger.info(`Target: ${target.name} (${target.kitta} kitta)`)
+      })
+    }
+
+    try {
+      const results = await this.executeForAccount(account)
+      if (results.length === 0) {
+        logger.info("Nothing to apply for this account")
+      }
+      for (const row of results) {
+        rows.push({
+          account: this.maskValue(account.username),
+          dp: account.dpName,
+          ...row,
+        })
+
+        const issueLabel = `[${row.details.issue}]`
+        const retried = this.describeRetries(row.attempts)
+        if (retried) {
+          logger.info(`${issueLabel} Retried: ${retried}`)
+        }
+        if (row.skipped) {
+          logger.info(`${issueLabel} SKIPPED: ${row.message}`)
+        } else if (row.rejected) {
+          logger.warn(`${issueLabel} REJECTED: ${row.error}`)
+        } else if (row.alreadyApplied) {
+          logger.info(`${issueLabel} ALREADY APPLIED: ${row.message}`)
+        } else if (row.dryRun) {
+          logger.info(`${issueLabel} DRY RUN: Form filled, stopped before PIN entry`)
+        } else if (row.success) {
+          const verb = row.action === "reapply" ? "resubmitted" : "submitted"
+          logger.info(`${issueLabel} SUCCESS: Application ${verb}${row.verified ? " and verified" : " (not verified in report)"}`)
+          if (row.referenceId) {
+            logger.info(`${issueLabel} Reference: ${row.referenceId}`)
+          }
+        } else {
+          logger.error(`${issueLabel} FAILED${row.code ? ` [${row.code}]` : ""}: ${row.error}`)
+          if (row.hint) logger.error(`${issueLabel} Action needed: ${row.hint}`)
+        }
+      }
+    } catch (caught) {
+      //login or browser failure: every target issue of this account failed
+      const error = ErrorClassifier.classify(caught)
+      const { targets, skipped } = this.splitResumed(account)
+      rows.push(...skipped.map((row) => ({ account: this.maskValue(account.username), dp: account.dpName, ...row })))
+      for (const target of targets.length > 0 && !account.autoApply ? targets : [{ name: "", kitta: 0 }]) {
+        rows.push({
+          account: this.maskValue(account.username),
+          dp: account.dpName,
+          success: false,
+          ...this.errorFields(error),
+          attempts: error.attempts || [],
+          timestamp: new Date().toISOString(),
+          details: { issue: target.name, kitta: target.kitta, dp: account.dpName },
+        })
+      }
+      logger.error(`FAILED${error.code ? ` [${error.code}]` : ""}: ${error.message}`)
+      if (error.hint) logger.error(`Action needed: ${error.hint}`)
+    }
+
+    return rows
+  }
+
+  printHeader(totalAccounts) {
+    logger.info("================================================================")
+    logger.info("  MEROSHARE ASBA AUTOMATION")
+    logger.info("  BY PRABIN BHANDARI")
+    logger.info("================================================================")
+    logger.info(`  Mode: ${totalAccounts > 1 ? "MULTI-ACCOUNT" : "SINGLE ACCOUNT"}`)
+    logger.info(`  Total Accounts: ${totalAccounts}`)
+    if (totalAccounts > 1) {
+      logger.info(`  Parallel Accounts: ${this.getConcurrency(totalAccounts)}`)
+    }
+    logger.info(`  Browser: ${this.config.sharedBrowser ? "shared, one context per account" : "one per account"}`)
+    logger.info(`  Headless: ${this.config.headless}`)
+    logger.info(`  Screenshots: ${this.config.screenshotOnError ? "Enabled" : "Disabled"}`)
+    logger.info(`  Retries: ${this.config.maxRetryAttempts} per step`)
+    if (this.config.dryRun) {
+      logger.info("  DRY RUN: forms are filled but nothing is submitted")
+    }
+    if (this.config.resume) {
+      logger.info("  Resume: skipping issues the run ledger records as submitted")
+    }
+    if (this.config.reapply) {
+      logger.info("  Reapply: rejected applications are resubmitted while the issue is open")
+    }
+    logger.info("================================================================")
+  }
+
+  /**
+   * Browser + page for one account, tracked so cleanup() can close it
+   */
+  async openSession(account, { monitorNetwork = false } = {}) {
+    const session = { browserManager: null, context: null, page: null, networkMonitor: null, attempts: [] }
+    this.sessions.add(session)
+
+    try {
+      if (this.config.sharedBrowser) {
+        logger.info("Opening isolated browser context...")
+        const shared = await this.getSharedBrowser()
+        const { context, page } = await shared.newContextPage()
+        session.context = context
+        session.page = page
+      } else {
+        logger.info("Starting browser...")
+        session.browserManager = new BrowserManager(this.config)
+        const { page } = await session.browserManager.launch()
+        session.page = page
+      }
+      const { page } = session
+
+      if (monitorNetwork) {
+        session.networkMonitor = new NetworkMonitor(page)
+        await session.networkMonitor.start()
+      }
+      logger.info("Browser ready")
+
+      logger.info("Logging in...")
+      const loginHandler = new LoginHandler(page, account, { challenges: new ChallengeGuard(page, this.config) })
+      await this.retry(
+        "login",
+        async () => {
+          await loginHandler.navigate()
+          await loginHandler.login()
+        },
+        session.attempts,
+      )
+      logger.info("Login successful")
+
+      return session
+    } catch (error) {
+      await ErrorHandler.handle(error, session.page)
+      await this.closeSession(session)
+      throw error
+    }
+  }
+
+  /**
+   * withRetry with the configured number of retries, attempts are appended to `log`
+   */
+  retry(step, fn, log, options = {}) {
+    return withRetry(step, fn, { attempts: this.config.maxRetryAttempts + 1, log, ...options })
+  }
+
+  /**
+   * error, code, category and hint of a result row, plain errors are classified first
+   */
+  errorFields(caught) {
+    const error = ErrorClassifier.classify(caught)
+    return {
+      error: error.message,
+      code: error.code || null,
+      category: error.code ? ErrorClassifier.getCategory(error) : null,
+      hint: error.hint || null,
+    }
+  }
+
+  /**
+   * "login x2, open ASBA x3" for the steps that needed more than one attempt
+   */
+  describeRetries(attempts = []) {
+    const counts = new Map()
+    for (const { step, attempt } of attempts) {
+      counts.set(step, Math.max(counts.get(step) || 0, attempt))
+    }
+    return [...counts]
+      .filter(([, count]) => count > 1)
+      .map(([step, count]) => `${step} x${count}`)
+      .join(", ")
+  }
+
+  async closeSession(session) {
+    this.sessions.delete(session)
+
+    if (session.networkMonitor) {
+      this.breaker?.recordServerErrors(session.networkMonitor.getServerErrors().length)
+      session.networkMonitor.stop()
+    }
+    try {
+      if (session.context) {
+        await session.context.close()
+        logger.info("Browser context closed")
+      } else if (session.browserManager) {
+        await session.browserManager.close()
+      }
+    } catch (error) {
+      logger.warn(`Failed to close browser: ${error.message}`)
+    }
+  }
+
+  /**
+   * One Chromium for the whole run, launched on first use (parallel callers share the promise)
+   */
+  getSharedBrowser() {
+    if (!this.sharedBrowser) {
+      const manager = new BrowserManager(this.config)
+      this.sharedBrowser = manager.launchBrowser().then(
+        () => manager,
+        (error) => {
+          this.sharedBrowser = null
+          throw error
+        },
+      )
+    }
+    return this.sharedBrowser
+  }
+
+  async executeForAccount(account) {
+    if (account.targetIssues.length === 0 && !account.autoApply) {
+      throw ErrorClassifier.create("VALIDATION_ERROR", "No target issue configured for this account")
+    }
+
+    //resume: named issues already in the ledger need no login at all
+    let { targets, skipped } = this.splitResumed(account)
+    if (skipped.length > 0 && targets.length === 0) return skipped
+
+    const session = await this.openSession(account, { monitorNetwork: true })
+    try {
+      if (account.autoApply) {
+        try {
+          targets = await this.selectIssuesByPolicy(session.page, account)
+        } catch (error) {
+          await ErrorHandler.handle(error, session.page)
+          throw error
+        }
+      }
+
+      //one login session, one result row per issue
+      const rows = [...skipped]
+      for (const target of targets) {
+        const issueAccount = { ...account, targetIssueName: target.name, appliedKitta: target.kitta }
+        rows.push(await this.applyForIssue(session.page, issueAccount, session.networkMonitor))
+      }
+      //login retries are reported with the first issue
+      const first = rows[skipped.length]
+      if (first && session.attempts.length > 0) {
+        first.attempts = [...session.attempts, ...(first.attempts || [])]
+      }
+      return rows
+    } finally {
+      await this.closeSession(session)
+    }
+  }
+
+  /**
+   * Policy mode: every open issue on the ASBA list that matches the account rules
+   */
+  async selectIssuesByPolicy(page, account) {
+    logger.info("Selecting issues by auto-apply rules...")
+    await this.navigateToASBA(page)
+
+    const issues = await new IssueDetector(page, account).listIssues()
+    const selected = new IssuePolicy(account.autoApply).select(issues)
+    const kitta = account.autoApply.kitta ?? account.appliedKitta
+
+    selected.forEach((issue) => logger.info(`Eligible: ${issue.name} (${issue.type}, ${kitta} kitta)`))
+    return selected.map((issue) => ({ name: issue.name, kitta }))
+  }
+
+  /**
+   * With --resume, named target issues the ledger already records as submitted
+   * become skipped rows; auto-apply targets are checked once they are known
+   */
+  splitResumed(account) {
+    if (!this.config.resume || account.autoApply) {
+      return { targets: account.targetIssues, skipped: [] }
+    }
+
+    const targets = []
+    const skipped = []
+    for (const target of account.targetIssues) {
+      const entry = this.ledger.findSubmitted(account.username, target.name)
+      if (entry) {
+        skipped.push(this.skippedRow(entry, { issue: target.name, kitta: target.kitta, dp: account.dpName }))
+      } else {
+        targets.push(target)
+      }
+    }
+    return { targets, skipped }
+  }
+
+  /**
+   * Rows for an account skipped because MeroShare is down
+   */
+  notAttemptedRows(account) {
+    const targets = account.autoApply ? [{ name: "", kitta: 0 }] : account.targetIssues
+    return targets.map((target) => ({
+      account: this.maskValue(account.username),
+      dp: account.dpName,
+      success: false,
+      notAttempted: true,
+      error: "Not attempted: MeroShare unavailable",
+      code: ERROR_CODES.SITE_UNAVAILABLE.code,
+      category: ERROR_CODES.SITE_UNAVAILABLE.category,
+      timestamp: new Date().toISOString(),
+      details: { issue: target.name, kitta: target.kitta, dp: account.dpName },
+    }))
+  }
+
+  /**
+   * Result row for an issue the ledger records as already submitted
+   */
+  skippedRow(entry, details) {
+    return {
+      success: true,
+      skipped: true,
+      message: `Already applied on ${entry.time} (run ledger)`,
+      referenceId: entry.reference,
+      timestamp: new Date().toISOString(),
+      details,
+    }
+  }
+
+  /**
+   * networkMonitor: records the page's responses, the submission call then decides the outcome
+   */
+  async applyForIssue(page, account, networkMonitor = null) {
+    //every retried step before the PIN submission is logged here and reported in the row
+    const attempts = []
+    const details = {
+      issue: account.targetIssueName,
+      kitta: account.appliedKitta,
+      dp: account.dpName,
+    }
+    let targetIssue = null
+
+    try {
+      //Navigate to ASBA
+      logger.info("Navigating to ASBA page...")
+      await this.retry("open ASBA", () => this.navigateToASBA(page), attempts)
+      logger.info("ASBA page loaded")
+
+      //Find target issue
+      logger.info(`Searching for: ${account.targetIssueName}`)
+      const issueDetector = new IssueDetector(page, account)
+      targetIssue = await issueDetector.findTargetIssue()
+
+      if (!targetIssue) {
+        throw ErrorClassifier.create(
+          "BUSINESS_LOGIC_ERROR",
+          `Issue "${account.targetIssueName}" not found. Check if issue name is correct and issue is open`,
+        )
+      }
+      logger.info(`Found issue: ${targetIssue.name}`)
+
+      //an open Apply button means no application for this issue yet, the report is only read otherwise
+      const existing =
+        targetIssue.canApply && targetIssue.action === "apply"
+          ? null
+          : await this.findExistingApplication(page, account, targetIssue)
+      if (existing && !(existing.rejected && this.config.reapply)) {
+        return this.alreadyAppliedRow(account, existing, details)
+      }
+
+      if (!targetIssue.canApply) {
+        throw ErrorClassifier.create(
+          "ISSUE_CLOSED",
+          `Issue "${targetIssue.name}" is listed but not open for application (closed or not started)`,
+        )
+      }
+
+      //report not readable: the button text still tells an existing application apart
+      if (targetIssue.action === "edit" || (targetIssue.action === "reapply" && !this.config.reapply)) {
+        return this.alreadyAppliedRow(
+          account,
+          { name: targetIssue.name, status: null, remarks: null, rejected: targetIssue.action === "reapply" },
+          details,
+        )
+      }
+      if (targetIssue.action === "reapply") {
+        logger.info(`Reapplying for ${targetIssue.name}${existing?.remarks ? ` (rejected: ${existing.remarks})` : ""}`)
+        //the report check left the ASBA list
+        await this.retry("open ASBA", () => this.navigateToASBA(page), attempts)
+      }
+
+      //configured name may be partial, check the listed name too
+      const entry = this.config.resume && this.ledger.findSubmitted(account.username, targetIssue.name)
+      if (entry) {
+        return this.skippedRow(entry, details)
+      }
+
+      logger.info("Filling application form...")
+      const formAutomation = new FormAutomation(page, account, {
+        dryRun: this.config.dryRun,
+        challenges: new ChallengeGuard(page, this.config),
+        networkMonitor,
+      })
+      //a retried step starts again from a freshly opened form
+      const openForm = async (attempt) => {
+        if (attempt > 1) await this.navigateToASBA(page)
+        await formAutomation.navigateToIssue(targetIssue)
+      }
+      const fillForm = async (attempt) => {
+        if (attempt > 1) await openForm(attempt)
+        await formAutomation.fillForm()
+      }
+      await this.retry("open form", openForm, attempts)
+      await this.retry("fill form", fillForm, attempts)
+      details.kitta = formAutomation.kitta
+      logger.info("Form filled")
+      logger.info(this.config.dryRun ? "Rehearsing submission (dry run)..." : "Submitting application...")
+      const result = await this.retry(
+        "submit",
+        async (attempt) => {
+          if (attempt > 1) await fillForm(attempt)
+          return formAutomation.submit()
+        },
+        attempts,
+        { canRetry: () => !formAutomation.pinSubmitted },
+      )
+      if (result.success && !result.dryRun) {
+        result.verification = await this.verifySubmission(page, account, targetIssue, formAutomation.submission)
+      }
+      this.ledger.record({
+        account: account.username,
+        issue: targetIssue.name,
+        target: account.targetIssueName,
+        outcome: result.dryRun ? OUTCOMES.DRY_RUN : result.success ? OUTCOMES.SUCCESS : OUTCOMES.FAILED,
+        reference: result.referenceId || null,
+        message: result.success ? result.message : result.error,
+      })
+      return {
+        success: result.success,
+        dryRun: result.dryRun === true,
+        message: result.message,
+        //failure toast text, classified like a thrown error
+        ...(result.success ? {} : this.errorFields(new Error(result.error))),
+        verified: result.verification?.verified === true,
+        verification: result.verification,
+        action: targetIssue.action,
+        referenceId: result.referenceId,
+        source: result.source,
+        submission: result.submission,
+        screenshot: result.screenshot,
+        attempts,
+        timestamp: new Date().toISOString(),
+        details,
+      }
+    } catch (error) {
+      await ErrorHandler.handle(error, page)
+      this.ledger.record({
+        account: account.username,
+        issue: targetIssue?.name || account.targetIssueName,
+        target: account.targetIssueName,
+        outcome: OUTCOMES.FAILED,
+        message: error.message,
+      })
+      return {
+        success: false,
+        ...this.errorFields(error),
+        attempts,
+        timestamp: new Date().toISOString(),
+        details,
+      }
+    }
+  }
+
+  /**
+   * The toast alone can be a false positive: look the application up in the report
+   * and compare its kitta and amount with what was submitted
+   */
+  async verifySubmission(page, account, issue, submission) {
+    logger.info("Verifying application in Application Report...")
+    let entry
+    try {
+      entry = await new ResultScraper(page, account).getApplicationDetails(issue)
+    } catch (error) {
+      logger.warn(`Could not verify application: ${error.message}`)
+      return { verified: false, reason: `Application Report not readable: ${error.message}` }
+    }
+    if (!entry) {
+      logger.warn(`No entry for ${issue.name} in Application Report yet`)
+      return { verified: false, reason: "No entry in Application Report" }
+    }
+    if (!isCurrentIssue(entry)) {
+      logger.warn(`Application Report entry for ${issue.name} belongs to an issue that has closed`)
+      return { verified: false, reason: `Report entry is for an earlier issue (closed ${entry.issueCloseDate})` }
+    }
+
+    const problems = []
+    const kitta = Number(submission.kitta)
+    if (entry.appliedQty !== kitta) {
+      problems.push(`report shows ${entry.appliedQty} kitta, submitted ${kitta}`)
+    }
+    const amount = Number.parseFloat(String(submission.amount ?? "").replace(/,/g, ""))
+    if (!isNaN(amount) && entry.amount !== amount) {
+      problems.push(`report shows Rs. ${entry.amount}, submitted Rs. ${amount}`)
+    }
+
+    const verification = {
+      verified: problems.length === 0,
+      status: entry.status,
+      appliedQty: entry.appliedQty,
+      amount: entry.amount,
+      reason: problems.join("; ") || null,
+    }
+    if (verification.verified) {
+      logger.info(`Verified in Application Report: ${entry.appliedQty} kitta, Rs. ${entry.amount}, ${entry.status}`)
+    } else {
+      logger.warn(`Application Report mismatch: ${verification.reason}`)
+    }
+    return verification
+  }
+
+  /**
+   * Application Report entry for the issue as listed on ASBA, with its status. The report
+   * keeps every past application, so an entry counts only when the ASBA row shows an Edit or
+   * Reapply button, or its close date says the issue is still running. A report that cannot
+   * be read (no applications yet, tab missing) does not block the application
+   */
+  async findExistingApplication(page, account, issue) {
+    logger.info("Checking Application Report for an existing application...")
+    try {
+      const scraper = new ResultScraper(page, account)
+      const company = await scraper.findApplication(issue)
+      if (!company) return null
+
+      const report = await scraper.readApplication(company)
+      const appliedOnRow = issue.action === "edit" || issue.action === "reapply"
+      if (!appliedOnRow && !(report && isCurrentIssue(report))) {
+        logger.info(`Report entry for ${company.name} is from an earlier issue, ignoring it`)
+        return null
+      }
+      const status = report?.status || null
+      return { name: company.name, status, remarks: report?.remarks || null, rejected: REJECTED_STATUS.test(status || "") }
+    } catch (error) {
+      logger.warn(`Could not check Application Report: ${error.message}`)
+      return null
+    }
+  }
+
+  /**
+   * An application exists already: accepted ones count as done, rejected ones
+   * need --reapply (or a manual fix) and are reported as failures
+   */
+  alreadyAppliedRow(account, existing, details) {
+    const status = existing.status ? ` (${existing.status}${existing.remarks ? `: ${existing.remarks}` : ""})` : ""
+    logger.info(`Already applied: ${existing.name}${status}`)
+    this.ledger.record({
+      account: account.username,
+      issue: existing.name,
+      target: account.targetIssueName,
+      outcome: existing.rejected ? OUTCOMES.REJECTED : OUTCOMES.ALREADY_APPLIED,
+      message: existing.status || "Found in Application Report",
+    })
+
+    const row = {
+      alreadyApplied: true,
+      rejected: existing.rejected,
+      reportStatus: existing.status,
+      timestamp: new Date().toISOString(),
+      details,
+    }
+    if (existing.rejected) {
+      //remarks such as "Insufficient balance" get the same code a failed submission would
+      const cause = existing.remarks ? this.errorFields(new Error(existing.remarks)) : {}
+      return {
+        ...row,
+        success: false,
+        code: cause.code || null,
+        category: cause.category || null,
+        error: `Application for ${existing.name} was rejected${status}, run with --reapply to resubmit`,
+      }
+    }
+    return { ...row, success: true, message: `Application for ${existing.name} already exists${status}` }
+  }
+
+  /**
+   * Read-only: log in with the first selected account and list ASBA issues
+   */
+  async executeIssuesMode() {
+    const account = this.config.accounts[0]
+    logger.info(`Listing open issues as: ${this.maskValue(account.username)}`)
+
+    const session = await this.openSession(account)
+    try {
+      logger.info("Navigating to ASBA page...")
+      await this.navigateToASBA(session.page)
+
+      const issueDetector = new IssueDetector(session.page, account)
+      return await issueDetector.listIssues()
+    } catch (error) {
+      await ErrorHandler.handle(error, session.page)
+      throw error
+    } finally {
+      await this.closeSession(session)
+    }
+  }
+
+  /**
+   * Change the kitta of submitted applications for config.targetIssueName while the issue is open
+   */
+  async executeEditMode() {
+    const totalAccounts = this.config.accounts.length
+    this.printHeader(totalAccounts)
+
+    for (const [i, account] of this.config.accounts.entries()) {
+      const label = totalAccounts > 1 ? `[Account ${i + 1}/${totalAccounts}]` : ""
+      await this.waitForTurn(i, 1, 3000, 5000)
+      const row = await withLogPrefix(label, () => this.editForAccount(account))
+      this.results.push({ account: this.maskValue(account.username), dp: account.dpName, ...row })
+    }
+
+    this.printSummary()
+    return this.results
+  }
+
+  async editForAccount(account) {
+    const details = { issue: account.targetIssueName, kitta: account.appliedKitta, dp: account.dpName }
+    logger.info("")
+    logger.info(`Editing: ${this.maskValue(account.username)} - ${account.targetIssueName} to ${account.appliedKitta} kitta`)
+
+    let session = null
+    try {
+      session = await this.openSession(account, { monitorNetwork: true })
+      const { page } = session
+
+      await this.navigateToASBA(page)
+      const issue = await new IssueDetector(page, account).findTargetIssue()
+      if (!issue || !issue.canApply) {
+        throw ErrorClassifier.create(
+          "ISSUE_CLOSED",
+          `Issue "${account.targetIssueName}" is not open, applications can no longer be edited`,
+        )
+      }
+      if (issue.action !== "edit") {
+        throw ErrorClassifier.create(
+          "BUSINESS_LOGIC_ERROR",
+          `No submitted application to edit for "${issue.name}" (button reads ${issue.action})`,
+        )
+      }
+      details.issue = issue.name
+
+      //the new kitta is exact, strategies only apply to new applications
+      const editAccount = { ...account, kittaStrategy: parseStrategy("fixed") }
+      const formAutomation = new FormAutomation(page, editAccount, {
+        dryRun: this.config.dryRun,
+        challenges: new ChallengeGuard(page, this.config),
+        networkMonitor: session.networkMonitor,
+      })
+      await formAutomation.navigateToIssue(issue)
+      const previousKitta = await formAutomation.fillEditForm()
+      details.previousKitta = previousKitta
+
+      const result = await formAutomation.submit()
+      if (result.success && !result.dryRun) {
+        result.verification = await this.verifySubmission(page, editAccount, issue, formAutomation.submission)
+        this.ledger.record({
+          account: account.username,
+          issue: issue.name,
+          target: account.targetIssueName,
+          outcome: OUTCOMES.EDITED,
+          reference: result.referenceId || null,
+          message: `Kitta ${previousKitta ?? "?"} -> ${formAutomation.kitta}`,
+        })
+      }
+      return {
+        success: result.success,
+        dryRun: result.dryRun === true,
+        action: "edit",
+        message: result.message,
+        ...(result.success ? {} : this.errorFields(new Error(result.error))),
+        verified: result.verification?.verified === true,
+        verification: result.verification,
+        referenceId: result.referenceId,
+        source: result.source,
+        submission: result.submission,
+        timestamp: new Date().toISOString(),
+        details,
+      }
+    } catch (error) {
+      if (session) await ErrorHandler.handle(error, session.page)
+      const fields = this.errorFields(error)
+      logger.error(`FAILED${fields.code ? ` [${fields.code}]` : ""}: ${fields.error}`)
+      return {
+        success: false,
+        action: "edit",
+        ...fields,
+        timestamp: new Date().toISOString(),
+        details,
+      }
+    } finally {
+      if (session) await this.closeSession(session)
+    }
+  }
+
+  /**
+   * DP list from the login dropdown, no login needed
+   */
+  async executeDPListMode() {
+    const browserManager = new BrowserManager(this.config)
+    const session = { browserManager, context: null, page: null, networkMonitor: null }
+    this.sessions.add(session)
+
+    try {
+      logger.info("Starting browser...")
+      const { page } = await browserManager.launch()
+      session.page = page
+      return await new DPScraper(page, this.config).scrapeDPList()
+    } catch (error) {
+      await ErrorHandler.handle(error, session.page)
+      throw error
+    } finally {
+      await this.closeSession(session)
+    }
+  }
+
+  async navigateToASBA(page) {
+    try {
+      await page.goto("https://meroshare.cdsc.com.np/#/asba", {
+        waitUntil: "networkidle2",
+        timeout: this.config.navigationTimeout,
+      })
+
+      const notice = await findMaintenanceNotice(page)
+      if (notice) {
+        throw ErrorClassifier.create("SITE_UNAVAILABLE", `MeroShare unavailable: ${notice}`)
+      }
+
+      await page.waitForSelector("app-asba, .company-list, .page-title-wrapper", {
+        timeout: this.config.browserTimeout,
+      })
+
+      await this.delay(2000)
+    } catch (error) {
+      if (error.code) throw error
+      throw new Error(`Failed to navigate to ASBA: ${error.message}`)
+    }
+  }
+
+  printSummary() {
+    const successful = this.results.filter((r) => r.success && !r.skipped && !r.alreadyApplied)
+    const skipped = this.results.filter((r) => r.skipped)
+    const alreadyApplied = this.results.filter((r) => r.alreadyApplied && !r.rejected)
+    const failed = this.results.filter((r) => !r.success)
+
+    logger.info("")
+    logger.info("================================================================")
+    logger.info("  EXECUTION SUMMARY")
+    logger.info("================================================================")
+    logger.info(`  Total Processed: ${this.results.length} application(s)`)
+    logger.info(`  Successful: ${successful.length}`)
+    logger.info(`  Failed: ${failed.length}`)
+    if (alreadyApplied.length > 0) {
+      logger.info(`  Already applied: ${alreadyApplied.length}`)
+    }
+    if (skipped.length > 0) {
+      logger.info(`  Skipped (run ledger): ${skipped.length}`)
+    }
+    //one outage line instead of a failure per account
+    const notAttempted = this.results.filter((r) => r.notAttempted)
+    const outage = this.breaker?.outage
+    if (outage) {
+      logger.info(`  Outage: ${outage.reason}`)
+      logger.info(`      since ${outage.since}${outage.recoveredAt ? `, recovered ${outage.recoveredAt}` : ""}`)
+    }
+    if (notAttempted.length > 0) {
+      const accounts = [...new Set(notAttempted.map((r) => r.account))]
+      logger.info(`  Not attempted: ${accounts.length} account(s) (${accounts.join(", ")})`)
+    }
+    logger.info("----------------------------------------------------------------")
+
+    this.results.forEach((result) => {
+      if (result.notAttempted) return
+      const status = this.statusTag(result)
+      const issue = result.details?.issue ? ` - ${result.details.issue}` : ""
+      logger.info(`  ${status} ${result.account} (${result.dp})${issue}`)
+
+      if (result.skipped || result.alreadyApplied) {
+        logger.info(`        ${result.message || result.error}`)
+        if (result.code) {
+          logger.info(`        Code: ${result.code} (${result.category})`)
+        }
+        if (result.referenceId) {
+          logger.info(`        Reference: ${result.referenceId}`)
+        }
+      } else if (result.dryRun && result.submission) {
+        const { bank, bankAccount, kitta, amount } = result.submission
+        logger.info(`        Kitta: ${kitta}, Amount: Rs. ${amount ?? "?"}`)
+        logger.info(`        Bank: ${bank}, Account: ${bankAccount}`)
+      } else if (result.success) {
+        if (result.referenceId) {
+          logger.info(`        Reference: ${result.referenceId}`)
+        }
+        if (result.action === "edit") {
+          logger.info(`        Kitta: ${result.details.previousKitta ?? "?"} -> ${result.details.kitta}`)
+        } else if (result.details) {
+          logger.info(`        Kitta: ${result.details.kitta}`)
+        }
+        if (result.source === "page") {
+          logger.info("        Outcome read from the page, no MeroShare response was captured")
+        }
+        if (result.verification?.verified) {
+          logger.info(`        Report: ${result.verification.status}, Rs. ${result.verification.amount}`)
+        } else if (result.verification) {
+          logger.info(`        Not verified: ${result.verification.reason}`)
+        }
+      } else {
+        logger.info(`        Error: ${result.error}`)
+        if (result.code) {
+          logger.info(`        Code: ${result.code} (${result.category})`)
+        }
+        if (result.hint) {
+          logger.info(`        Action: ${result.hint}`)
+        }
+      }
+      const retried = this.describeRetries(result.attempts)
+      if (retried) {
+        logger.info(`        Retried: ${retried}`)
+      }
+    })
+
+    logger.info("================================================================")
+    if (this.config.notificationEnabled && this.results.length > 0) {
+      this.sendNotifications()
+    }
+  }
+
+  statusTag(result) {
+    if (result.notAttempted) return "[OUTAGE]"
+    if (result.skipped) return "[SKIP]"
+    if (result.rejected) return "[REJECTED]"
+    if (result.alreadyApplied) return "[ALREADY]"
+    if (result.dryRun) return "[DRY]"
+    if (result.success && result.action === "edit") return "[EDITED]"
+    if (result.success) return result.verified ? "[OK]" : "[SENT]"
+    return result.code === ERROR_CODES.ISSUE_CLOSED.code ? "[CLOSED]" : "[FAIL]"
+  }
+
+  async sendNotifications() {
+    try {
+      const notifier = new Notifier(this.config)
+      await notifier.sendBatch(this.results, { outage: this.breaker?.outage || null })
+      logger.info("notification sent")
+    } catch (e) {
+      logger.warn(`failed to send notification: ${e.message}`)
+    }
+  }
+
+  async cleanup() {
+    for (const session of [...this.sessions]) {
+      await this.closeSession(session)
+    }
+
+    if (this.sharedBrowser) {
+      const shared = this.sharedBrowser
+      this.sharedBrowser = null
+      try {
+        await (await shared).close()
+      } catch (error) {
+        logger.warn(`Failed to close shared browser: ${error.message}`)
+      }
+    }
+  }
+
+  maskValue(value) {
+    if (!value || value.length < 4) return "***"
+    return value.substring(0, 3) + "*".repeat(Math.min(value.length - 3, 5))
+  }
+
+  delay(min, max = min) {
+    const ms = max > min ? Math.floor(Math.random() * (max - min + 1)) + min : min
+    return new Promise((resolve) => setTimeout(resolve, ms))
+  }
+
+  async executeResultsMode() {
+    const totalAccounts = this.config.accounts.length
+
+    logger.info("================================================================")
+    logger.info("  RESULTS SCRAPING MODE")
+    logger.info("  BY PRABIN BHANDARI")
+    logger.info("================================================================")
+    logger.info(`  Total Accounts: ${totalAccounts}`)
+    logger.info("================================================================")
+
+    const concurrency = this.getConcurrency(totalAccounts)
+    const perAccount = await runWithConcurrency(this.config.accounts, concurrency, async (account, i) => {
+      const label = totalAccounts > 1 ? `[Account ${i + 1}/${totalAccounts}]` : ""
+      await this.waitForTurn(i, concurrency, 2000, 3000)
+      return withLogPrefix(label, () => this.scrapeAccountResults(account))
+    })
+    this.results.push(...perAccount)
+
+    this.printResultsModeSummary()
+    return this.results
+  }
+
+  async scrapeAccountResults(account) {
+    logger.info("")
+    logger.info(`Scraping results for: ${this.maskValue(account.username)}`)
+    logger.info(`DP: ${account.dpName}`)
+
+    let session = null
+    try {
+      session = await this.openSession(account)
+      const scraper = new ResultScraper(session.page, account)
+      const result = await scraper.execute()
+
+      if (result.success) {
+        logger.info(`✓ Successfully scraped ${result.results.length} application(s)`)
+        if (result.changes) {
+          const { newAllotments, updatedAllotments } = result.changes
+          if (newAllotments.length > 0) {
+            logger.info(`🎉 You have ${newAllotments.length} NEW allotment(s)!`)
+          }
+          if (updatedAllotments.length > 0) {
+            logger.info(`📊 ${updatedAllotments.length} allotment(s) updated`)
+          }
+        }
+      } else {
+        logger.error(`✗ Failed to scrape results: ${result.error}`)
+      }
+
+      return {
+        account: this.maskValue(account.username),
+        dp: account.dpName,
+        ...result,
+      }
+    } catch (error) {
+      logger.error(`✗ Error: ${error.message}`)
+      return {
+        account: this.maskValue(account.username),
+        dp: account.dpName,
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      }
+    } finally {
+      if (session) await this.closeSession(session)
+    }
+  }
+
+  printResultsModeSummary() {
+    const successful = this.results.filter((r) => r.success)
+    const failed = this.results.filter((r) => !r.success)
+
+    logger.info("")
+    logger.info("================================================================")
+    logger.info("  RESULTS SCRAPING SUMMARY")
+    logger.info("================================================================")
+    logger.info(`  Total Accounts: ${this.results.length}`)
+    logger.info(`  Successful: ${successful.length}`)
+    logger.info(`  Failed: ${failed.length}`)
+    logger.info("----------------------------------------------------------------")
+
+    this.results.forEach((result) => {
+      const status = result.success ? "[OK]" : "[FAIL]"
+      logger.info(`  ${status} ${result.account} (${result.dp})`)
+
+      if (result.success && result.summary) {
+        logger.info(`        Total Applications: ${result.summary.total}`)
+        logger.info(`        Alloted: ${result.summary.alloted}`)
+        logger.info(`        Total Shares: ${result.summary.totalShares}`)
+
+        if (result.changes) {
+          if (result.changes.newAllotments.length > 0) {
+            logger.info(`        🎉 NEW: ${result.changes.newAllotments.length} allotment(s)`)
+          }
+        }
+      } else if (!result.success) {
+        logger.info(`        Error: ${result.error}`)
+      }
+    })
+
+    logger.info("================================================================")
+    logger.info(`  Results saved in: logs/application-results.json`)
+    logger.info("================================================================")
+  }
+}
@@ -22,6 +22,20 @@ export class BrowserManager {
   }
 
   async launch() {
+    await this.launchBrowser()
+    const pages = await this.browser.pages()
+    this.page = pages[0] || (await this.browser.newPage())
+
+    await this.preparePage(this.page)
+
+    logger.info("Browser launched successfully....")
+    return { browser: this.browser, page: this.page }
+  }
+
+  /**
+   * Start Chromium only - shared browser mode opens one context per account on it
+   */
+  async launchBrowser() {
     logger.info("Launching browser.......")
 
     const launchOptions = {
@@ -42,27 +56,40 @@ export class BrowserManager {
     }
 
     this.browser = await puppeteer.launch(launchOptions)
-    const pages = await this.browser.pages()
-    this.page = pages[0] || (await this.browser.newPage())
+    return this.browser
+  }
 
+  /**
+   * Incognito-like context: cookies and storage are not shared with other accounts
+   */
+  async newContextPage() {
+    if (!this.browser) {
+      throw new Error("Browser is not launched")
+    }
 
+    const context = await this.browser.createBrowserContext()
+    const page = await context.newPage()
+    await this.preparePage(page)
+
+    logger.info("Isolated browser context ready")
+    return { context, page }
+  }
+
+  async preparePage(page) {
     const userAgent = this.config.userAgent || this.getRandomUserAgent()
-    await this.page.setUserAgent(userAgent)
+    await page.setUserAgent(userAgent)
 //add security 
-    await this.applyAntiDetection()
-
-    logger.info("Browser launched successfully....")
-    return { browser: this.browser, page: this.page }
+    await this.applyAntiDetection(page)
   }
 
-  async applyAntiDetection() {
-    await this.page.evaluateOnNewDocument(() => {
+  async applyAntiDetection(page = this.page) {
+    await page.evaluateOnNewDocument(() => {
       Object.defineProperty(navigator, "webdriver", {
         get: () => false,
       })
     })
 
-    await this.page.evaluateOnNewDocument(() => {
+    await page.evaluateOnNewDocument(() => {
       const originalQuery = window.navigator.permissions.query
       window.navigator.permissions.query = (parameters) =>
         parameters.name === "notifications"
@@ -70,7 +97,7 @@ export class BrowserManager {
           : originalQuery(parameters)
     })
 
-    await this.page.evaluateOnNewDocument(() => {
+    await page.evaluateOnNewDocument(() => {
       window.chrome = {
         runtime: {},
       }
@@ -0,0 +1,146 @@
+/**
+ * Outage Circuit Breaker
+ *
+ * Notices when MeroShare itself is down (maintenance page, backend 5xx,
+ * network failures on account after account) and stops the run, or waits
+ * for the site to come back, instead of failing every remaining account
+ */
+
+import { logger } from "../utils/logger.js"
+import { delay } from "../utils/helpers.js"
+import { URLS, ERROR_CODES } from "../config/constants.js"
+
+//failures that point at the site rather than the account
+const OUTAGE_CODES = [
+  ERROR_CODES.SITE_UNAVAILABLE.code,
+  ERROR_CODES.NETWORK_ERROR.code,
+  ERROR_CODES.NAVIGATION_ERROR.code,
+  ERROR_CODES.TIMEOUT_ERROR.code,
+]
+
+const MAINTENANCE_TEXT =
+  /under (scheduled )?maintenance|maintenance (mode|in progress|window)|temporarily unavailable|service unavailable|bad gateway|gateway time-?out/i
+
+/**
+ * Maintenance or gateway error text shown instead of MeroShare, null on a normal page
+ */
+export async function findMaintenanceNotice(page) {
+  try {
+    const text = await page.evaluate(() => `${document.title} ${(document.body?.innerText || "").slice(0, 2000)}`)
+    return text.match(MAINTENANCE_TEXT)?.[0] || null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * The DP list the login page loads: answers without a login once the backend is up
+ */
+export async function probeSite(timeoutMs = 15000) {
+  try {
+    const response = await fetch(URLS.DP_LIST_API, { signal: AbortSignal.timeout(timeoutMs) })
+    return response.ok
+  } catch {
+    return false
+  }
+}
+
+export class CircuitBreaker {
+  /**
+   * config: outageThreshold, outageWaitMinutes and outageProbeSeconds from the run config
+   */
+  constructor(config, probe = probeSite) {
+    this.threshold = Math.max(1, config.outageThreshold || 2)
+    this.waitMinutes = config.outageWaitMinutes || 0
+    this.probeSeconds = Math.max(5, config.outageProbeSeconds || 60)
+    this.probe = probe
+    this.consecutiveFailures = 0
+    this.serverErrors = 0
+    this.outage = null
+    this.recovering = null
+    this.gaveUp = false
+  }
+
+  get isOpen() {
+    return this.outage !== null && this.outage.recoveredAt === null
+  }
+
+  /**
+   * Backend responses with status 5xx seen while an account was processed
+   */
+  recordServerErrors(count) {
+    this.serverErrors += count
+  }
+
+  /**
+   * Result rows of one account. A maintenance page opens the breaker at once,
+   * otherwise `threshold` accounts in a row have to fail on the site
+   */
+  recordAccount(rows) {
+    const failed = rows.length > 0 && rows.every((row) => !row.success && !row.skipped)
+    const outageRow = rows.find((row) => OUTAGE_CODES.includes(row.code))
+    const serverErrors = this.serverErrors
+    this.serverErrors = 0
+
+    if (!failed || (!outageRow && serverErrors === 0)) {
+      this.consecutiveFailures = 0
+      return
+    }
+
+    this.consecutiveFailures++
+    const reason = outageRow
+      ? `${outageRow.error}${serverErrors > 0 ? ` (${serverErrors} server error response(s))` : ""}`
+      : `${serverErrors} server error response(s) from MeroShare`
+    const maintenance = outageRow?.code === ERROR_CODES.SITE_UNAVAILABLE.code
+
+    if (!this.isOpen && (maintenance || this.consecutiveFailures >= this.threshold)) {
+      this.outage = {
+        reason,
+        since: new Date().toISOString(),
+        failedAccounts: this.consecutiveFailures,
+        recoveredAt: null,
+      }
+      logger.error("================================================================")
+      logger.error(`  OUTAGE: ${reason}`)
+      logger.error("================================================================")
+    }
+  }
+
+  /**
+   * Resolves true once a probe gets through within the wait window, false to stop the run.
+   * Parallel callers share one wait
+   */
+  waitForRecovery() {
+    if (!this.isOpen) return Promise.resolve(true)
+    if (this.gaveUp) return Promise.resolve(false)
+    if (!this.recovering) {
+      this.recovering = this.probeUntilUp().finally(() => {
+        this.recovering = null
+      })
+    }
+    return this.recovering
+  }
+
+  async probeUntilUp() {
+    if (this.waitMinutes <= 0) {
+      this.gaveUp = true
+      return false
+    }
+
+    const deadline = Date.now() + this.waitMinutes * 60 * 1000
+    logger.warn(`Waiting up to ${this.waitMinutes} min for MeroShare, probing every ${this.probeSeconds}s...`)
+    while (Date.now() < deadline) {
+      await delay(Math.min(this.probeSeconds * 1000, Math.max(0, deadline - Date.now())))
+      if (await this.probe()) {
+        logger.info("MeroShare is reachable again, continuing")
+        this.outage.recoveredAt = new Date().toISOString()
+        this.consecutiveFailures = 0
+        return true
+      }
+      logger.warn("MeroShare still unavailable")
+    }
+    logger.error(`MeroShare did not come back within ${this.waitMinutes} min`)
+    this.gaveUp = true
+    return false
+  }
+}
@@ -6,7 +6,9 @@
  */
 
 import { logger } from "../utils/logger.js"
-import { SELECTORS, TIMEOUTS } from "../config/constants.js"
+import { SELECTORS, TIMEOUTS, API_PATTERNS } from "../config/constants.js"
+import { parseStrategy, resolveKitta, describeStrategy, DEFAULT_LOT } from "./kitta-strategy.js"
+import { ChallengeGuard } from "./security-challenge.js"
 import fs from "fs"
 import path from "path"
 
@@ -14,11 +16,65 @@ function delay(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms))
 }
 
+function normalizeBankName(text) {
+  return text
+    .toLowerCase()
+    .replace(/\blimited\b/g, "ltd")
+    .replace(/[^a-z0-9 ]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+}
+
+/**
+ * Bank option by configured name: exact (ignoring case, punctuation, Ltd/Limited) first, then partial
+ */
+function matchBank(options, name) {
+  const wanted = normalizeBankName(name)
+  const exact = options.filter((o) => normalizeBankName(o.text) === wanted)
+  if (exact.length === 1) return exact[0]
+
+  const partial = options.filter((o) => normalizeBankName(o.text).includes(wanted))
+  if (partial.length > 1) {
+    throw new Error(`Bank "${name}" matches several banks: ${partial.map((o) => o.text).join(", ")}`)
+  }
+  return partial[0] || null
+}
+
+/**
+ * Account option by configured number: the full number or its last digits
+ */
+function matchAccount(options, number) {
+  const digits = (text) => text.replace(/\D/g, "")
+  const exact = options.find((o) => digits(o.text) === number)
+  if (exact) return exact
+
+  const endings = options.filter((o) => digits(o.text).endsWith(number))
+  if (endings.length > 1) {
+    throw new Error(`Bank account ending in ${number} matches ${endings.length} accounts, give more digits`)
+  }
+  return endings[0] || null
+}
+
 export class FormAutomation {
-  constructor(page, config) {
+  constructor(page, config, options = {}) {
     this.page = page
     this.config = config
+    this.dryRun = options.dryRun === true
+    //set once Apply is clicked with the PIN: from then on a retry could apply twice
+    this.pinSubmitted = false
+    this.challenges = options.challenges || new ChallengeGuard(page)
+    //responses of the submission call decide the outcome when the page is monitored
+    this.networkMonitor = options.networkMonitor || null
     this.minQuantity = 10 //Default
+    this.limits = { min: 10, max: null, price: null, lot: DEFAULT_LOT }
+    this.kitta = Number.parseInt(config.appliedKitta, 10)
+    //what goes into the form, reported back in dry runs
+    this.submission = {
+      bank: null,
+      bankAccount: null,
+      kitta: config.appliedKitta,
+      amount: null,
+    }
   }
 
   async navigateToIssue(issue) {
@@ -58,7 +114,7 @@ export class FormAutomation {
     try {
       //delay to ensure form is fully interactive
       await delay(1500)
-      await this.readMinimumQuantity()
+      await this.readQuantityLimits()
       this.validateKitta()
       logger.info("Selecting bank...")
       await this.selectBank()
@@ -66,7 +122,7 @@ export class FormAutomation {
       logger.info("Selecting account...")
       await this.selectAccount()
       await delay(1500)
-      logger.info(`Entering kitta: ${this.config.appliedKitta}`)
+      logger.info(`Entering kitta: ${this.kitta}`)
       await this.fillKitta()
       await delay(1000)
       await this.verifyAmount()
@@ -85,44 +141,93 @@ export class FormAutomation {
     }
   }
 
-  async readMinimumQuantity() {
+  /**
+   * Edit form of a submitted application: bank and account stay as submitted,
+   * only the kitta changes. Returns the kitta it had before
+   */
+  async fillEditForm() {
+    logger.info("Filling edit form...")
+
+    try {
+      await delay(1500)
+      const previousKitta = await this.page.evaluate((sel) => {
+        const input = document.querySelector(sel)
+        return input ? Number.parseInt(input.value, 10) || null : null
+      }, SELECTORS.FORM.KITTA_INPUT)
+      logger.info(`Current kitta: ${previousKitta ?? "?"}`)
+
+      await this.readQuantityLimits()
+      this.validateKitta()
+      if (previousKitta === this.kitta) {
+        throw new Error(`Application already has ${this.kitta} kitta`)
+      }
+
+      logger.info(`Entering kitta: ${this.kitta}`)
+      await this.fillKitta()
+      await delay(1000)
+      await this.verifyAmount()
+      if (this.config.crnNumber) {
+        await this.fillCRN()
+        await delay(500)
+      }
+      await this.acceptDisclaimer()
+
+      logger.info("Edit form filled successfully")
+      return previousKitta
+    } catch (error) {
+      await this.captureScreenshot("edit-error")
+      throw new Error(`Edit form failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * Minimum/maximum quantity, price per share and kitta multiple shown on the form
+   */
+  async readQuantityLimits() {
     try {
-      const minQty = await this.page.evaluate(() => {
-        const labels = document.querySelectorAll("label")
-        for (const label of labels) {
-          if (label.textContent.includes("Minimum Quantity")) {
-            const row = label.closest(".form-group, .row")
-            if (row) {
-              const valueSpan = row.querySelector(".form-value span")
-              if (valueSpan) {
-                return Number.parseInt(valueSpan.textContent.trim(), 10)
-              }
+      const values = await this.page.evaluate(() => {
+        const read = (text) => {
+          for (const label of document.querySelectorAll("label")) {
+            if (label.textContent.toLowerCase().includes(text)) {
+              const valueSpan = label.closest(".form-group, .row")?.querySelector(".form-value span")
+              if (valueSpan) return Number.parseFloat(valueSpan.textContent.replace(/,/g, "").trim())
             }
           }
+          return null
+        }
+        return {
+          min: read("minimum quantity"),
+          max: read("maximum quantity"),
+          price: read("price per share"),
+          lot: read("multiple"),
         }
-        return 10 
       })
 
-      this.minQuantity = minQty || 10
-      logger.info(`Minimum quantity for this issue: ${this.minQuantity}`)
+      this.limits = {
+        min: values.min || 10,
+        max: values.max || null,
+        price: values.price || null,
+        lot: values.lot || DEFAULT_LOT,
+      }
     } catch (e) {
-      logger.warn(`Could not read minimum quantity, using default: 10`)
-      this.minQuantity = 10
+      logger.warn(`Could not read quantity limits, using minimum 10: ${e.message}`)
     }
+    this.minQuantity = this.limits.min
+    const { min, max, price, lot } = this.limits
+    logger.info(`Issue limits: min ${min}, max ${max ?? "?"}, multiple of ${lot}, Rs. ${price ?? "?"} per share`)
   }
 
   validateKitta() {
-    const kitta = Number.parseInt(this.config.appliedKitta, 10)
+    const strategy = this.config.kittaStrategy || parseStrategy()
 
-    if (kitta < this.minQuantity) {
-      throw new Error(
-        `Applied kitta (${kitta}) is less than minimum quantity (${this.minQuantity}). ` +
-          `Please set APPLIED_KITTA >= ${this.minQuantity} in your .env file.`,
-      )
+    try {
+      this.kitta = resolveKitta(strategy, this.config.appliedKitta, this.limits)
+    } catch (error) {
+      throw new Error(`${error.message}. Check APPLIED_KITTA / KITTA_STRATEGY in your .env file.`)
     }
 
-    // Check if kitta is divisible
-    logger.info(`Kitta validation passed: ${kitta} >= ${this.minQuantity}`)
+    this.submission.kitta = this.kitta
+    logger.info(`Kitta validation passed: ${this.kitta} (strategy: ${describeStrategy(strategy, this.config.appliedKitta)})`)
   }
 
   async selectBank() {
@@ -144,10 +249,24 @@ export class FormAutomation {
       if (banks.length <= 1) {
         throw new Error("No bank options available. Please check your MeroShare account settings.")
       }
-      const bank = banks.find((b) => b.value && b.value !== "")
-      if (!bank) throw new Error("No valid bank option found")
+      const options = banks.filter((b) => b.value && b.value !== "")
+      if (options.length === 0) throw new Error("No valid bank option found")
+
+      let bank = options[0]
+      if (this.config.bankName) {
+        bank = matchBank(options, this.config.bankName)
+        if (!bank) {
+          throw new Error(
+            `Configured bank "${this.config.bankName}" is not linked to this account. ` +
+              `Available: ${options.map((b) => b.text).join(", ")}`,
+          )
+        }
+      } else if (options.length > 1) {
+        logger.warn(`${options.length} banks linked, using the first one. Set bankName to choose.`)
+      }
 
       await this.page.select(SELECTORS.FORM.BANK_SELECT, bank.value)
+      this.submission.bank = bank.text
       logger.info(`Bank selected: ${bank.text}`)
       await delay(2000)
     } catch (error) {
@@ -184,11 +303,24 @@ export class FormAutomation {
         throw new Error("No bank accounts available. Please ensure your bank account is linked in MeroShare.")
       }
 
-      const account = accounts.find((a) => a.value && a.value !== "") 
-    
-      if (!account) throw new Error("No valid bank account found")
+      const options = accounts.filter((a) => a.value && a.value !== "")
+      if (options.length === 0) throw new Error("No valid bank account found")
+
+      let account = options[0]
+      if (this.config.bankAccount) {
+        account = matchAccount(options, this.config.bankAccount)
+        if (!account) {
+          throw new Error(
+            `Configured bank account ending in ${this.config.bankAccount.slice(-4)} is not listed for ${this.submission.bank}. ` +
+              `Available: ${options.map((a) => this.maskAccountNumber(a.text)).join(", ")}`,
+          )
+        }
+      } else if (options.length > 1) {
+        logger.warn(`${options.length} bank accounts listed, using the first one. Set bankAccount to choose.`)
+      }
 
       await this.page.select(SELECTORS.FORM.ACCOUNT_SELECT, account.value)
+      this.submission.bankAccount = account.text
       logger.info(`Account selected: ${account.text}`)
     } catch (error) {
       throw new Error(`Account selection failed: ${error.message}`)
@@ -211,15 +343,15 @@ export class FormAutomation {
           }
         },
         SELECTORS.FORM.KITTA_INPUT,
-        this.config.appliedKitta.toString(),
+        this.kitta.toString(),
       )
       const setValue = await this.page.evaluate((sel) => {
         const input = document.querySelector(sel)
         return input?.value || ""
       }, SELECTORS.FORM.KITTA_INPUT)
 
-      if (setValue !== this.config.appliedKitta.toString()) {
-        throw new Error(`Kitta not set correctly. Expected: ${this.config.appliedKitta}, Got: ${setValue}`)
+      if (setValue !== this.kitta.toString()) {
+        throw new Error(`Kitta not set correctly. Expected: ${this.kitta}, Got: ${setValue}`)
       }
 
       logger.debug(`Kitta entered: ${setValue}`)
@@ -228,21 +360,48 @@ export class FormAutomation {
     }
   }
 
+  /**
+   * Last check before Proceed: the amount MeroShare computed must equal kitta x price
+   * and stay within the account's spending ceiling
+   */
   async verifyAmount() {
     await delay(1500)
+    let amount = ""
     try {
-      const amount = await this.page.evaluate((sel) => {
+      amount = await this.page.evaluate((sel) => {
         const input = document.querySelector(sel)
         return input?.value || ""
       }, SELECTORS.FORM.AMOUNT_INPUT)
+    } catch (e) {
+      logger.warn(`Could not read amount: ${e.message}`)
+    }
+
+    const ceiling = this.config.maxAmount
+    if (!amount) {
+      if (ceiling) throw new Error(`Amount not calculated, cannot check it against the Rs. ${ceiling} ceiling`)
+      logger.warn("Amount not calculated - this may indicate a form issue")
+      return
+    }
+    this.submission.amount = amount
+    logger.info(`Calculated amount: Rs. ${amount}`)
 
-      if (amount) {
-        logger.info(`Calculated amount: Rs. ${amount}`)
-      } else {
-        logger.warn("Amount not calculated - this may indicate a form issue")
+    const siteAmount = Number.parseFloat(amount.replace(/,/g, ""))
+    if (!Number.isFinite(siteAmount)) {
+      throw new Error(`Amount "${amount}" on the form is not a number, cannot check it`)
+    }
+    const { price } = this.limits
+    if (price) {
+      const expected = this.kitta * price
+      if (Math.abs(expected - siteAmount) > 0.01) {
+        throw new Error(`Amount Rs. ${siteAmount} does not match ${this.kitta} kitta x Rs. ${price} = Rs. ${expected}`)
       }
-    } catch (e) {
-      logger.warn(`Amount verification skipped: ${e.message}`)
+      logger.info(`Amount matches ${this.kitta} kitta x Rs. ${price}`)
+    } else {
+      logger.warn("Price per share not shown on the form, amount not cross-checked")
+    }
+
+    if (ceiling && siteAmount > ceiling) {
+      throw new Error(`Amount Rs. ${siteAmount} is above the Rs. ${ceiling} ceiling for this account (MAX_AMOUNT)`)
     }
   }
 
@@ -298,6 +457,7 @@ export class FormAutomation {
     logger.info("Starting submission process...")
 
     try {
+      await this.challenges.check("application form")
       logger.info("Step 1: Clicking Proceed...")
       await this.clickProceed()
 
@@ -310,18 +470,61 @@ export class FormAutomation {
       }
       await this.page.waitForSelector(SELECTORS.FORM.TRANSACTION_PIN, { timeout: TIMEOUTS.MEDIUM })
       logger.info("PIN form loaded")
+
+      if (this.dryRun) {
+        return await this.finishDryRun()
+      }
+      await this.challenges.check("PIN screen")
       logger.info("Step 2: Entering transaction PIN...")
       await this.enterPIN()
       logger.info("Step 3: Clicking Apply...")
+      this.pinSubmitted = true
+      const submittedAt = Date.now()
       await this.clickApply()
-      const result = await this.parseResult()
+      const result = (await this.readSubmissionResponse(submittedAt)) || {
+        ...(await this.parseResult()),
+        source: "page",
+      }
       return result
     } catch (error) {
       await this.captureScreenshot("submit-error")
+      if (error.code) throw error
       throw new Error(`Submission failed: ${error.message}`)
     }
   }
 
+  /**
+   * Dry run stops on the PIN screen: nothing is submitted to MeroShare
+   */
+  async finishDryRun() {
+    const screenshot = await this.captureScreenshot("dry-run")
+    const { bank, bankAccount, kitta, amount } = this.submission
+
+    logger.info("DRY RUN: stopping before PIN entry, nothing was submitted")
+    logger.info(`  Bank: ${bank}`)
+    logger.info(`  Account: ${this.maskAccountNumber(bankAccount)}`)
+    logger.info(`  Kitta: ${kitta}`)
+    logger.info(`  Amount: Rs. ${amount ?? "not calculated"}`)
+
+    return {
+      success: true,
+      dryRun: true,
+      message: "Dry run completed - stopped before PIN entry",
+      submission: {
+        bank,
+        bankAccount: this.maskAccountNumber(bankAccount),
+        kitta,
+        amount,
+      },
+      screenshot,
+    }
+  }
+
+  maskAccountNumber(text) {
+    if (!text) return text
+    return text.replace(/\d(?=\d{4})/g, "*")
+  }
+
   async clickProceed() {
     const btn = await this.page.$('button.btn-primary[type="submit"]:not([disabled])')
 
@@ -405,6 +608,46 @@ export class FormAutomation {
     await delay(3000)
   }
 
+  /**
+   * Outcome from the backend's answer to the submission call, null when none was captured
+   */
+  async readSubmissionResponse(since) {
+    if (!this.networkMonitor) return null
+
+    const response = await this.networkMonitor.waitForResponse(API_PATTERNS.SUBMISSION, {
+      since,
+      timeoutMs: TIMEOUTS.MEDIUM,
+    })
+    if (!response) {
+      logger.warn("No response to the submission call captured, reading the page instead")
+      return null
+    }
+
+    const data = response.data || {}
+    const message = data.message || data.errorMessage || data.error || null
+    const success = response.status >= 200 && response.status < 300
+    logger.debug(`Submission response: HTTP ${response.status} ${message || ""}`)
+
+    if (!success) {
+      const error = message || `MeroShare rejected the application (HTTP ${response.status})`
+      logger.error(`FAILED: ${error}`)
+      return { success: false, error, httpStatus: response.status, source: "api" }
+    }
+
+    logger.info(`SUCCESS: ${message || `HTTP ${response.status}`}`)
+    const id = data.applicantFormId ?? data.applicationId ?? data.formId ?? data.id ?? null
+    return {
+      success: true,
+      message: message || "Application submitted",
+      referenceId: id !== null ? String(id) : message ? this.extractReference(message) : null,
+      httpStatus: response.status,
+      source: "api",
+    }
+  }
+
+  /**
+   * Fallback when the submission response was not captured: success or error toast, otherwise an unknown result to check by hand
+   */
   async parseResult() {
     await delay(3000)
 
@@ -436,19 +679,7 @@ export class FormAutomation {
       logger.error(`FAILED: ${errorResult.error}`)
       return errorResult
     }
-    const pageContent = await this.page.evaluate(() => document.body.innerText.toLowerCase())
-
-    if (
-      pageContent.includes("success") ||
-      pageContent.includes("submitted") ||
-      pageContent.includes("application received")
-    ) {
-      return {
-        success: true,
-        message: "Application appears to be submitted successfully",
-      }
-    }
-
+    //no toast: page text alone is not proof either way
     return {
       success: false,
       error: "Could not determine submission result - please check MeroShare manually",
@@ -477,8 +708,10 @@ export class FormAutomation {
 
       await this.page.screenshot({ path: filepath, fullPage: true })
       logger.info(`Screenshot saved: ${filepath}`)
+      return filepath
     } catch (e) {
       logger.warn(`Screenshot failed: ${e.message}`)
+      return null
     }
   }
 }
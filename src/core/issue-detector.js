@@ -70,6 +70,25 @@ export class IssueDetector {
     }
   }
 
+  /**
+   * All issues on the ASBA list, without matching a target (issues command)
+   */
+  async listIssues() {
+    try {
+      await this.page.waitForSelector(SELECTORS.ASBA.COMPANY_LIST, {
+        timeout: TIMEOUTS.MEDIUM,
+      })
+    } catch {
+      logger.info("No issues listed on the ASBA page")
+      return []
+    }
+
+    await delay(2000) // delay as angular may still be rendering
+    const issues = await this.scrapeIssues()
+    logger.info(`Found ${issues.length} issue(s)`)
+    return issues.map(({ element, ...issue }) => issue)
+  }
+
   async scrapeIssues() {
     return await this.page.evaluate(() => {
       const companyLists = document.querySelectorAll(".company-list")
@@ -91,6 +110,9 @@ export class IssueDetector {
           const subGroup = subGroupEl?.textContent?.trim() || ""
           const applyButton = list.querySelector("button.btn-issue")
           const canApply = applyButton !== null && !applyButton.disabled
+          //the same button reads Edit once applied and Reapply after a rejection
+          const buttonText = applyButton?.textContent?.trim().toLowerCase() || ""
+          const action = buttonText.includes("reapply") ? "reapply" : buttonText.includes("edit") ? "edit" : "apply"
 
           //only add if we have a valid name
           if (name) {
@@ -101,6 +123,7 @@ export class IssueDetector {
               group,
               subGroup,
               canApply,
+              action,
               element: null, //cannot serialize DOm elemen
             })
           }
@@ -0,0 +1,126 @@
+/**
+ * Auto-Apply Policy
+ *
+ * Rule based issue selection: instead of naming an issue, an account
+ * declares which kinds of issues it always applies to
+ */
+
+import { logger } from "../utils/logger.js"
+
+export const DEFAULT_RULES = {
+  shareTypes: ["IPO", "FPO"],
+  shareGroups: ["Ordinary Shares"],
+  subGroups: ["For General Public"],
+  excludeMutualFunds: true,
+  excludeDebentures: true,
+  include: [],
+  exclude: [],
+  kitta: null,
+}
+
+const LIST_FIELDS = ["shareTypes", "shareGroups", "subGroups", "include", "exclude"]
+
+/**
+ * true or "true" -> default rules, object or JSON string -> merged over defaults,
+ * empty/false -> null (policy mode off)
+ */
+export function normalizeRules(value) {
+  if (value === undefined || value === null || value === "" || value === false || value === "false") {
+    return null
+  }
+  if (value === true || value === "true") {
+    return { ...DEFAULT_RULES }
+  }
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value)
+    } catch {
+      throw new Error("AUTO_APPLY_RULES must be true or a valid JSON object. Check your .env file.")
+    }
+  }
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw new Error("autoApply must be true or an object of rules")
+  }
+
+  const rules = { ...DEFAULT_RULES, ...value }
+
+  for (const field of LIST_FIELDS) {
+    if (typeof rules[field] === "string") rules[field] = [rules[field]]
+    if (!Array.isArray(rules[field]) || rules[field].some((v) => typeof v !== "string")) {
+      throw new Error(`autoApply.${field} must be a list of strings`)
+    }
+  }
+  for (const pattern of [...rules.include, ...rules.exclude]) {
+    try {
+      new RegExp(pattern, "i")
+    } catch {
+      throw new Error(`autoApply pattern "${pattern}" is not a valid regular expression`)
+    }
+  }
+  if (rules.kitta !== null) {
+    rules.kitta = Number.parseInt(rules.kitta)
+    if (isNaN(rules.kitta) || rules.kitta <= 0) {
+      throw new Error("autoApply.kitta must be a positive number")
+    }
+  }
+
+  return rules
+}
+
+export class IssuePolicy {
+  constructor(rules) {
+    this.rules = rules
+  }
+
+  /**
+   * Returns null when the issue matches, otherwise the reason it was skipped
+   */
+  rejectReason(issue) {
+    const { rules } = this
+    const text = (value) => (value || "").toLowerCase().trim()
+    const oneOf = (value, allowed) =>
+      allowed.length === 0 || allowed.some((a) => text(value) === text(a) || text(value).includes(text(a)))
+    const describe = `${issue.type} ${issue.group} ${issue.subGroup} ${issue.name}`.toLowerCase()
+
+    if (!oneOf(issue.type, rules.shareTypes)) return `share type "${issue.type}" not in rules`
+    if (!oneOf(issue.group, rules.shareGroups)) return `share group "${issue.group}" not in rules`
+    if (!oneOf(issue.subGroup, rules.subGroups)) return `sub-group "${issue.subGroup}" not in rules`
+    if (rules.excludeMutualFunds && /mutual fund|yojana|scheme/.test(describe)) return "mutual fund"
+    if (rules.excludeDebentures && /debenture|bond/.test(describe)) return "debenture"
+
+    if (rules.include.length > 0 && !rules.include.some((p) => new RegExp(p, "i").test(issue.name))) {
+      return "name does not match include patterns"
+    }
+    const excluded = rules.exclude.find((p) => new RegExp(p, "i").test(issue.name))
+    if (excluded) return `name matches exclude pattern "${excluded}"`
+
+    return null
+  }
+
+  /**
+   * Open issues (apply button enabled) that satisfy every rule
+   */
+  select(issues) {
+    const selected = []
+
+    for (const issue of issues) {
+      if (!issue.canApply) {
+        logger.debug(`Policy skip: ${issue.name} - closed or already applied`)
+        continue
+      }
+      if (issue.action === "edit") {
+        logger.debug(`Policy skip: ${issue.name} - already applied`)
+        continue
+      }
+      const reason = this.rejectReason(issue)
+      if (reason) {
+        logger.debug(`Policy skip: ${issue.name} - ${reason}`)
+        continue
+      }
+      selected.push(issue)
+    }
+
+    logger.info(`Auto-apply rules matched ${selected.length} of ${issues.length} issue(s)`)
+    return selected
+  }
+}
@@ -0,0 +1,292 @@
+/**
+ * Issue Watcher
+ *
+ * Long-running mode: stays logged in, reloads the ASBA page and starts the
+ * apply flow for every account as soon as a watched issue opens
+ */
+
+import { logger } from "../utils/logger.js"
+import { URLS, TIMEOUTS, ERROR_CODES } from "../config/constants.js"
+import { delay } from "../utils/helpers.js"
+import { BrowserManager } from "./browser.js"
+import { LoginHandler } from "./login.js"
+import { ChallengeGuard } from "./security-challenge.js"
+import { IssueDetector } from "./issue-detector.js"
+import { IssuePolicy } from "./issue-policy.js"
+import { MeroShareAutomation } from "./automation.js"
+import { ErrorClassifier } from "../errors/error-classifier.js"
+
+//after this many failed polls in a row the browser session is rebuilt
+const MAX_FAILURES_BEFORE_RESTART = 5
+
+//failed applications worth another try on the next poll, an outage may be over by then
+const RETRYABLE_CODES = [
+  ...Object.values(ERROR_CODES)
+    .filter((entry) => entry.retryable)
+    .map((entry) => entry.code),
+  ERROR_CODES.SITE_UNAVAILABLE.code,
+]
+
+export class IssueWatcher {
+  constructor(config) {
+    this.config = config
+    this.account = config.accounts[0]
+    this.browserManager = null
+    this.page = null
+    this.stopped = false
+    this.failures = 0
+    //account + issue pairs that succeeded or failed for good, left out of later rounds
+    this.settled = new Set()
+    this.runs = []
+  }
+
+  /**
+   * Issue names from every account plus the first set of auto-apply rules
+   */
+  getWatchTargets() {
+    const names = new Set()
+    let rules = null
+
+    for (const account of this.config.accounts) {
+      if (account.autoApply) {
+        rules = rules || account.autoApply
+      } else {
+        account.targetIssues.forEach((target) => names.add(target.name))
+      }
+    }
+
+    return { names: [...names], policy: rules ? new IssuePolicy(rules) : null }
+  }
+
+  async start() {
+    const { names, policy } = this.getWatchTargets()
+    if (names.length === 0 && !policy) {
+      throw ErrorClassifier.create("VALIDATION_ERROR", "Nothing to watch: configure a target issue or auto-apply rules")
+    }
+
+    logger.info("================================================================")
+    logger.info("  ISSUE WATCHER")
+    logger.info("================================================================")
+    names.forEach((name) => logger.info(`  Watching: ${name}`))
+    if (policy) logger.info("  Watching: any issue matching auto-apply rules")
+    logger.info(`  Interval: ${this.config.watchIntervalSeconds}s`)
+    logger.info(`  After success: ${this.config.watchExitOnSuccess ? "exit" : "keep watching"}`)
+    logger.info("================================================================")
+
+    while (!this.stopped) {
+      try {
+        await this.ensureSession()
+        const opened = await this.poll(names, policy)
+
+        this.failures = 0
+        if (opened.length > 0) {
+          const succeeded = await this.applyAll(opened)
+
+          //all accounts failed: keep polling so the next round tries again
+          if (succeeded && this.config.watchExitOnSuccess) {
+            break
+          }
+        }
+        await this.sleep(this.config.watchIntervalSeconds * 1000)
+      } catch (error) {
+        //any failed login (an expired session aside): another attempt could lock the account
+        const loginFailed = error.category === "Authentication" && error.code !== ERROR_CODES.SESSION_EXPIRED.code
+        if (loginFailed || ErrorClassifier.needsUserAction(error)) {
+          logger.error(`Watch stopped: ${error.message}`)
+          if (error.hint) logger.error(`Action needed: ${error.hint}`)
+          await this.closeSession()
+          throw error
+        }
+
+        this.failures++
+        const backoff = this.getBackoff()
+        logger.warn(`Watch poll failed (${this.failures} in a row): ${error.message}`)
+
+        if (this.failures >= MAX_FAILURES_BEFORE_RESTART) {
+          logger.warn("Too many failures - restarting browser session")
+          await this.closeSession()
+          this.failures = 0
+        }
+
+        logger.info(`Retrying in ${Math.round(backoff / 1000)}s`)
+        await this.sleep(backoff)
+      }
+    }
+
+    await this.closeSession()
+    return this.runs
+  }
+
+  /**
+   * Exponential backoff on consecutive failures, capped, with some jitter
+   */
+  getBackoff() {
+    const base = this.config.watchIntervalSeconds * 1000 * 2 ** (this.failures - 1)
+    const capped = Math.min(base, this.config.watchMaxBackoffSeconds * 1000)
+    return capped + Math.floor(Math.random() * 0.2 * capped)
+  }
+
+  async ensureSession() {
+    if (this.page) return
+
+    logger.info("Starting watch session...")
+    this.browserManager = new BrowserManager(this.config)
+    const { page } = await this.browserManager.launch()
+    this.page = page
+    await this.login()
+  }
+
+  async login() {
+    const loginHandler = new LoginHandler(this.page, this.account, {
+      challenges: new ChallengeGuard(this.page, this.config),
+    })
+    await loginHandler.navigate()
+    await loginHandler.login()
+    logger.info("Watch session logged in")
+  }
+
+  async poll(names, policy) {
+    await this.page.goto(URLS.ASBA, {
+      waitUntil: "networkidle2",
+      timeout: this.config.navigationTimeout,
+    })
+    await delay(2000)
+
+    //MeroShare sends an expired session back to the login page
+    if (this.page.url().includes("/login")) {
+      logger.info("Session expired - logging in again")
+      await this.login()
+      await this.page.goto(URLS.ASBA, {
+        waitUntil: "networkidle2",
+        timeout: this.config.navigationTimeout,
+      })
+      await delay(2000)
+    }
+
+    await this.page.waitForSelector("app-asba, .company-list, .page-title-wrapper", {
+      timeout: TIMEOUTS.LONG,
+    })
+
+    const detector = new IssueDetector(this.page, this.account)
+    const issues = await detector.listIssues()
+    const open = issues.filter((issue) => issue.canApply)
+
+    const opened = []
+    for (const name of names) {
+      const match = detector.matchIssue(open, name)
+      if (match && !opened.includes(match)) opened.push(match)
+    }
+    if (policy) {
+      policy.select(open).forEach((issue) => !opened.includes(issue) && opened.push(issue))
+    }
+
+    if (opened.length === 0) {
+      logger.info(`No watched issue open yet (${issues.length} listed)`)
+    }
+    return opened
+  }
+
+  /**
+   * Run the apply flow for the opened issues only, returns whether any application went through.
+   * Each account is retried on a later poll only while its failure is retryable; a failed
+   * login stops the watcher, since another attempt could lock the account
+   */
+  async applyAll(opened) {
+    const config = this.configForOpened(opened)
+    if (config.accounts.length === 0) {
+      logger.info(`Open: ${opened.map((i) => i.name).join(", ")} - nothing left to apply for`)
+      return false
+    }
+    logger.info(`Issue open: ${opened.map((i) => i.name).join(", ")} - starting applications`)
+
+    const automation = new MeroShareAutomation(config)
+    try {
+      const results = await automation.executeAll()
+      this.runs.push(...results)
+
+      for (const { account, rows } of automation.accountResults) {
+        for (const row of rows) this.settle(account, row)
+      }
+      return results.some((r) => r.success)
+    } finally {
+      await automation.cleanup()
+    }
+  }
+
+  /**
+   * Record the outcome of one result row, throws the login error of a failed login
+   */
+  settle(account, row) {
+    //account-level failures (login, browser) carry no issue name
+    const names = row.details?.issue ? [row.details.issue] : account.targetIssues.map((target) => target.name)
+
+    if (!row.success) {
+      if (row.category === "Authentication" && row.code !== ERROR_CODES.SESSION_EXPIRED.code) {
+        const type = Object.keys(ERROR_CODES).find((key) => ERROR_CODES[key].code === row.code)
+        throw ErrorClassifier.create(type, row.error)
+      }
+      if (!row.rejected && RETRYABLE_CODES.includes(row.code) && !row.hint) {
+        logger.info(`${row.account} will be retried for ${names.join(", ")} on the next poll`)
+        return
+      }
+      logger.warn(`${row.account} not retried for ${names.join(", ")}: ${row.error}`)
+    }
+    names.forEach((name) => this.settled.add(this.pairKey(account, name)))
+  }
+
+  pairKey(account, issueName) {
+    return `${account.username}|${issueName}`
+  }
+
+  /**
+   * Config whose accounts target just the opened issues, by their listed names:
+   * named targets keep their kitta, auto-apply accounts get the issues their rules select.
+   * Settled account + issue pairs are left out
+   */
+  configForOpened(opened) {
+    const detector = new IssueDetector(this.page, this.account)
+    const accounts = []
+
+    for (const account of this.config.accounts) {
+      let targetIssues
+      if (account.autoApply) {
+        const kitta = account.autoApply.kitta ?? account.appliedKitta
+        targetIssues = new IssuePolicy(account.autoApply).select(opened).map((issue) => ({ name: issue.name, kitta }))
+      } else {
+        targetIssues = account.targetIssues
+          .map((target) => ({ issue: detector.matchIssue(opened, target.name), kitta: target.kitta }))
+          .filter(({ issue }) => issue)
+          .map(({ issue, kitta }) => ({ name: issue.name, kitta }))
+      }
+      targetIssues = targetIssues.filter((target) => !this.settled.has(this.pairKey(account, target.name)))
+
+      if (targetIssues.length > 0) {
+        accounts.push({
+          ...account,
+          autoApply: null,
+          targetIssues,
+          targetIssueName: targetIssues[0].name,
+          appliedKitta: targetIssues[0].kitta,
+        })
+      }
+    }
+    return { ...this.config, accounts }
+  }
+
+  sleep(ms) {
+    return this.stopped ? Promise.resolve() : delay(ms)
+  }
+
+  async stop() {
+    this.stopped = true
+    await this.closeSession()
+  }
+
+  async closeSession() {
+    if (this.browserManager) {
+      await this.browserManager.close().catch(() => {})
+    }
+    this.browserManager = null
+    this.page = null
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Kitta Strategies
+ *
+ * Works out how many kitta to apply from the issue's limits, so one config
+ * fits issues with different minimums and prices
+ */
+
+export const STRATEGIES = ["fixed", "min", "max", "budget"]
+
+//most issues only accept multiples of 10 kitta
+export const DEFAULT_LOT = 10
+
+/**
+ * "fixed" | "min" | "max" | "budget:50000" (or { type, budget }) -> { type, budget }
+ */
+export function parseStrategy(value) {
+  if (value === undefined || value === null || value === "") {
+    return { type: "fixed", budget: null }
+  }
+
+  let type = value
+  let budget = null
+  if (typeof value === "object") {
+    type = value.type
+    budget = value.budget ?? null
+  } else {
+    const [name, amount = null] = String(value).trim().split(":")
+    type = name
+    budget = amount
+  }
+  type = String(type).toLowerCase()
+
+  if (!STRATEGIES.includes(type)) {
+    throw new Error(`Kitta strategy must be one of ${STRATEGIES.join(", ")} (got "${type}")`)
+  }
+  if (type === "budget") {
+    budget = Number(budget)
+    if (isNaN(budget) || budget <= 0) {
+      throw new Error('Kitta strategy "budget" needs an amount, e.g. budget:50000')
+    }
+    return { type, budget }
+  }
+  return { type, budget: null }
+}
+
+export function describeStrategy(strategy, fixedKitta) {
+  if (strategy.type === "fixed") return String(fixedKitta)
+  if (strategy.type === "budget") return `up to Rs. ${strategy.budget}`
+  return strategy.type
+}
+
+/**
+ * limits: { min, max, price, lot } as read from the form, max/price may be null
+ */
+export function resolveKitta(strategy, fixedKitta, { min, max = null, price = null, lot = DEFAULT_LOT }) {
+  const roundDown = (kitta) => Math.floor(kitta / lot) * lot
+  const roundUp = (kitta) => Math.ceil(kitta / lot) * lot
+
+  let kitta
+  switch (strategy.type) {
+    case "min":
+      kitta = roundUp(min)
+      break
+    case "max":
+      if (!max) throw new Error("Maximum quantity could not be read from the form")
+      kitta = roundDown(max)
+      break
+    case "budget":
+      if (!price) throw new Error("Price per share could not be read from the form")
+      kitta = roundDown(strategy.budget / price)
+      if (max) kitta = Math.min(kitta, roundDown(max))
+      if (kitta < min) {
+        throw new Error(`Budget Rs. ${strategy.budget} buys fewer than the minimum ${min} kitta at Rs. ${price}`)
+      }
+      break
+    default:
+      kitta = Number.parseInt(fixedKitta, 10)
+  }
+
+  if (kitta < min) {
+    throw new Error(`Applied kitta (${kitta}) is less than minimum quantity (${min})`)
+  }
+  if (max && kitta > max) {
+    throw new Error(`Applied kitta (${kitta}) is more than maximum quantity (${max})`)
+  }
+  return kitta
+}
@@ -8,26 +8,60 @@ import { logger } from "../utils/logger.js"
 import { URLS, SELECTORS, TIMEOUTS } from "../config/constants.js"
 import { ErrorClassifier } from "../errors/error-classifier.js"
 import { delay, typeText, clearAndType } from "../utils/helpers.js"
+import { matchDP } from "../utils/dp-matcher.js"
+import { DPScraper } from "./scraper.js"
+import { ChallengeGuard } from "./security-challenge.js"
+import { isTransient } from "../errors/retry.js"
+import { findMaintenanceNotice } from "./circuit-breaker.js"
+
+//checked in this order: "locked ... invalid password" is a lockout, not a typo
+const LOGIN_STATES = [
+  ["ACCOUNT_LOCKED", /locked|blocked|too many|attempts exceeded|disabled/i],
+  ["PASSWORD_EXPIRED", /expired/i],
+  ["PASSWORD_CHANGE_REQUIRED", /change (your )?password|password change|reset (your )?password|first (time )?login/i],
+  ["INVALID_CREDENTIALS", /invalid|incorrect|wrong|not match|bad credentials|attempts? (left|remaining)/i],
+]
+
+/**
+ * ERROR_CODES key for a MeroShare login message
+ */
+export function classifyLoginMessage(text) {
+  const state = LOGIN_STATES.find(([, pattern]) => pattern.test(text))
+  return state ? state[0] : "AUTH_ERROR"
+}
 
 export class LoginHandler {
-  constructor(page, config) {
+  /**
+   * options.challenges: ChallengeGuard to use, by default every challenge fails fast
+   */
+  constructor(page, config, options = {}) {
     this.page = page
     this.config = config
+    this.challenges = options.challenges || new ChallengeGuard(page)
   }
 
   async navigate() {
     logger.info(`Navigating to login page: ${URLS.LOGIN}`)
-    await this.page.goto(URLS.LOGIN, {
+    const response = await this.page.goto(URLS.LOGIN, {
       waitUntil: "networkidle2",
       timeout: this.config.navigationTimeout,
     })
     await delay(2000, 3000)
+
+    const notice = await findMaintenanceNotice(this.page)
+    if (notice || response?.status() >= 500) {
+      throw ErrorClassifier.create(
+        "SITE_UNAVAILABLE",
+        `MeroShare unavailable: ${notice || `login page returned HTTP ${response.status()}`}`,
+      )
+    }
     logger.info("Login page loaded")
   }
 
   async login() {
+    let submitted = false
     try {
-      // await this.detectSecurityChallenges()
+      await this.challenges.check("login page")
 
       // Wait for login form to be ready
       await this.page.waitForSelector(SELECTORS.LOGIN.LOGIN_FORM, {
@@ -52,7 +86,9 @@ export class LoginHandler {
 
       // Step 4: Submit form
       logger.info("Submitting login form...")
+      submitted = true
       await this.submitForm()
+      await this.challenges.check("login")
 
       // Step 5: Verify login success
       await this.verifyLoginSuccess()
@@ -61,6 +97,12 @@ export class LoginHandler {
     } catch (error) {
       // Take screenshot on error
       await this.captureErrorScreenshot("login-error")
+      //already classified (wrong DP): keep its code
+      if (error.code) throw error
+      //page trouble before the credentials went out is safe to retry, anything after could count toward a lockout
+      if (!submitted && isTransient(error)) {
+        throw ErrorClassifier.create("NAVIGATION_ERROR", `Login page failed: ${error.message}`)
+      }
       throw ErrorClassifier.create("AUTH_ERROR", `Login failed: ${error.message}`)
     }
   }
@@ -89,8 +131,30 @@ export class LoginHandler {
       await this.page.waitForSelector(SELECTORS.SELECT2.SEARCH_FIELD, {
         timeout: TIMEOUTS.SHORT,
       })
+      await this.page.waitForSelector(SELECTORS.SELECT2.OPTION, {
+        timeout: TIMEOUTS.SHORT,
+      })
       await delay(500)
 
+      //score the unfiltered list, never fall back to whatever is highlighted
+      const optionTexts = await this.page.evaluate(
+        (sel) => Array.from(document.querySelectorAll(sel)).map((o) => o.textContent.trim()),
+        SELECTORS.SELECT2.OPTION,
+      )
+      //the list comes from the backend: empty means it is down, not that the DP is wrong
+      if (optionTexts.filter((text) => text && !/no results/i.test(text)).length === 0) {
+        throw ErrorClassifier.create("SITE_UNAVAILABLE", "MeroShare unavailable: the DP list did not load")
+      }
+      //a DP code is looked up in the cached list when the dropdown does not show codes
+      const wanted = DPScraper.resolveName(this.config.dpName)
+      let dpText
+      try {
+        dpText = matchDP(optionTexts, wanted)
+      } catch (error) {
+        throw ErrorClassifier.create("VALIDATION_ERROR", `DP selection failed: ${error.message}`)
+      }
+      logger.debug(`DP "${this.config.dpName}" matched: ${dpText}`)
+
       const searchInput = await this.page.$(SELECTORS.SELECT2.SEARCH_FIELD)
       if (!searchInput) {
         throw new Error("Select2 search field not found")
@@ -101,8 +165,8 @@ export class LoginHandler {
       await delay(100)
 
       // Type character by character with proper delays
-      await typeText(this.page, this.config.dpName, 80)
-      logger.debug(`Typed DP name: ${this.config.dpName}`)
+      await typeText(this.page, dpText, 80)
+      logger.debug(`Typed DP name: ${dpText}`)
 
       // Wait for options to filter
       await delay(1500)
@@ -112,38 +176,27 @@ export class LoginHandler {
         timeout: TIMEOUTS.SHORT,
       })
 
-      // Find and click the matching option
-      const optionClicked = await this.page.evaluate((dpName) => {
+      // Click exactly the matched option
+      const optionClicked = await this.page.evaluate((text) => {
         const options = document.querySelectorAll(".select2-results__option")
         for (const option of options) {
-          const text = option.textContent.toLowerCase()
-          if (text.includes(dpName.toLowerCase())) {
+          if (option.textContent.trim() === text) {
             option.click()
             return true
           }
         }
-        // If no exact match, click the first/highlighted option
-        const highlighted = document.querySelector(".select2-results__option--highlighted")
-        if (highlighted) {
-          highlighted.click()
-          return true
-        }
-        if (options.length > 0) {
-          options[0].click()
-          return true
-        }
         return false
-      }, this.config.dpName)
+      }, dpText)
 
       if (!optionClicked) {
-        // Fallback: press Enter to select highlighted option
-        await this.page.keyboard.press("Enter")
+        throw new Error(`Matched DP "${dpText}" disappeared from the filtered list`)
       }
 
       await delay(500)
-      logger.info(`DP selected: ${this.config.dpName}`)
+      logger.info(`DP selected: ${dpText}`)
     } catch (error) {
       logger.error(`Failed to select DP: ${error.message}`)
+      if (error.code) throw error
       throw new Error(`DP selection failed: ${error.message}`)
     }
   }
@@ -215,21 +268,6 @@ export class LoginHandler {
     }
   }
 //as we dont have security challenges now for future
-  // async detectSecurityChallenges() {
-  // //   //for CAPTCHA
-  // //   const captcha = await this.page.$('img[src*="captcha"], .captcha')
-  // //   if (captcha) {
-  // //     throw ErrorClassifier.create("SECURITY_INTERRUPTION", "CAPTCHA detected. Manual intervention required.")
-  // //   }
-
-  //   // const otp = await this.page.$('input[placeholder*="OTP"], input[name*="otp"]')
-  //   // if (otp) {
-  //   //   throw ErrorClassifier.create("SECURITY_INTERRUPTION", "OTP challenge detected. Manual intervention required.")
-  //   // }
-
-  //   logger.debug("No security challenges detected")
-  // }
-
   async verifyLoginSuccess() {
     try {
       const dashboardSelectors = [
@@ -252,18 +290,26 @@ export class LoginHandler {
         }
       }
 
+      //the forced change-password screen can come with the dashboard layout around it
+      if (await this.isPasswordChangeScreen()) {
+        throw ErrorClassifier.create(
+          "PASSWORD_CHANGE_REQUIRED",
+          "Login needs a password change before MeroShare can be used",
+        )
+      }
+
       if (!dashboardFound) {
         const currentUrl = this.page.url()
         if (currentUrl.includes("/login")) {
           const errorElement = await this.page.$(SELECTORS.LOGIN.ERROR_MESSAGE)
           if (errorElement) {
-            const errorText = await errorElement.evaluate((el) => el.textContent)
-            throw new Error(`Login rejected: ${errorText.trim()}`)
+            const errorText = (await errorElement.evaluate((el) => el.textContent)).trim()
+            throw ErrorClassifier.create(classifyLoginMessage(errorText), `Login rejected: ${errorText}`)
           }
           const toastError = await this.page.$(".toast-error, .toast-message")
           if (toastError) {
-            const errorText = await toastError.evaluate((el) => el.textContent)
-            throw new Error(`Login failed: ${errorText.trim()}`)
+            const errorText = (await toastError.evaluate((el) => el.textContent)).trim()
+            throw ErrorClassifier.create(classifyLoginMessage(errorText), `Login failed: ${errorText}`)
           }
 
           throw new Error("Login failed - still on login page")
@@ -276,6 +322,18 @@ export class LoginHandler {
     }
   }
 
+  async isPasswordChangeScreen() {
+    if (/change-?password/i.test(this.page.url())) return true
+    return await this.page
+      .evaluate(() => {
+        const oldPassword = document.querySelector(
+          'input#oldPassword, input[formcontrolname="oldPassword"], input[name="oldPassword"]',
+        )
+        return oldPassword !== null
+      })
+      .catch(() => false)
+  }
+
   async captureErrorScreenshot(prefix) {
     try {
       const timestamp = Date.now()
@@ -11,11 +11,36 @@ import { ErrorClassifier } from "../errors/error-classifier.js"
 import fs from "fs"
 import path from "path"
 
+const RESULTS_FILE_PATH = path.resolve(process.cwd(), "logs", "application-results.json")
+
+function sameName(a, b) {
+  const normalize = (text) => String(text).toLowerCase().replace(/\s+/g, " ").trim()
+  return normalize(a) === normalize(b)
+}
+
+/**
+ * Report entry of an issue that has not closed yet; false when the close date is missing or unreadable
+ */
+export function isCurrentIssue(entry, now = new Date()) {
+  const closes = Date.parse(entry.issueCloseDate || "")
+  if (isNaN(closes)) return false
+  //the close date has no time of day: the issue runs until that day ends
+  return closes + 24 * 60 * 60 * 1000 > now.getTime()
+}
+
 export class ResultScraper {
   constructor(page, account) {
     this.page = page
     this.account = account
-    this.resultsFilePath = path.resolve(process.cwd(), "logs", "application-results.json")
+    this.resultsFilePath = RESULTS_FILE_PATH
+  }
+
+  /**
+   * Read saved results without a browser session (history command)
+   */
+  static loadSavedResults() {
+    if (!fs.existsSync(RESULTS_FILE_PATH)) return {}
+    return JSON.parse(fs.readFileSync(RESULTS_FILE_PATH, "utf8"))
   }
 
   /**
@@ -67,6 +92,68 @@ export class ResultScraper {
     }
   }
 
+  /**
+   * Application Report entry ({ index, name, type }) for an issue as listed on ASBA ({ name, type }),
+   * null when there is none. Names must match exactly: a partial name would pick up older
+   * issues (IPO, FPO, right share) of the same company. The newest entry comes first
+   */
+  async findApplication(issue) {
+    await this.navigateToReports()
+    const companies = await this.getAllCompanyNames()
+    return (
+      companies.find(
+        (c) => sameName(c.name, issue.name) && (!issue.type || !c.type || sameName(c.type, issue.type)),
+      ) || null
+    )
+  }
+
+  /**
+   * Report details of one application, null when the account has not applied
+   * or the detail page does not open
+   */
+  async getApplicationDetails(issue) {
+    const company = await this.findApplication(issue)
+    return company ? this.readApplication(company) : null
+  }
+
+  /**
+   * Open the report of a listed application, read it and return to the list
+   */
+  async readApplication(company) {
+    const info = (await this.getCompanyAtIndex(company.index)) || { name: company.name, type: "", group: "" }
+    if (!(await this.openReportDetail(company))) return null
+
+    const details = await this.extractApplicationDetails(info)
+    await this.clickBackButton()
+    return details
+  }
+
+  /**
+   * Click the report button of a listed application and wait for its detail page
+   */
+  async openReportDetail(company) {
+    const clicked = await this.clickReportButtonAtIndex(company.index)
+    if (!clicked) {
+      logger.warn(`Could not click report button for ${company.name}`)
+      return false
+    }
+
+    await delay(2000)
+    const detailLoaded = await Promise.race([
+      this.page.waitForSelector("app-application-report", { timeout: TIMEOUTS.MEDIUM }).then(() => true),
+      this.page.waitForSelector(".section-block .form-group", { timeout: TIMEOUTS.MEDIUM }).then(() => true),
+    ]).catch(() => false)
+
+    if (!detailLoaded) {
+      logger.warn(`Detail page did not load for ${company.name}`)
+      await this.clickBackButton()
+      return false
+    }
+
+    await delay(1500)
+    return true
+  }
+
   /**
    * Get current company count on page
    */
@@ -156,7 +243,8 @@ export class ResultScraper {
       lists.forEach((list, index) => {
         const nameEl = list.querySelector('.company-name span[tooltip="Company Name"]')
         const name = nameEl?.textContent?.trim() || ""
-        if (name) companies.push({ index, name })
+        const type = list.querySelector(".share-of-type")?.textContent?.trim() || ""
+        if (name) companies.push({ index, name, type })
       })
       
       return companies
@@ -225,27 +313,10 @@ export class ResultScraper {
         
         try {
           logger.info(`[${i + 1}/${toScrape.length}] Scraping: ${company.name}`)
-          const clicked = await this.clickReportButtonAtIndex(company.index)
-          
-          if (!clicked) {
-            logger.warn(`Could not click report button for ${company.name}`)
-            continue
-          }
-
-          await delay(2000)
-          const detailLoaded = await Promise.race([
-            this.page.waitForSelector("app-application-report", { timeout: TIMEOUTS.MEDIUM }).then(() => true),
-            this.page.waitForSelector(".section-block .form-group", { timeout: TIMEOUTS.MEDIUM }).then(() => true),
-          ]).catch(() => false)
-
-          if (!detailLoaded) {
-            logger.warn(`Detail page did not load for ${company.name}`)
-            await this.clickBackButton()
+          if (!(await this.openReportDetail(company))) {
             continue
           }
 
-          await delay(1500)
-
           const fullCompanyInfo = await this.getCompanyAtIndex(company.index).catch(() => ({ name: company.name, type: "", group: "" }))
           const details = await this.extractApplicationDetails(fullCompanyInfo || { name: company.name, type: "", group: "" })
 
@@ -344,10 +415,7 @@ export class ResultScraper {
    */
   loadPreviousResults() {
     try {
-      if (fs.existsSync(this.resultsFilePath)) {
-        const data = fs.readFileSync(this.resultsFilePath, "utf8")
-        return JSON.parse(data)
-      }
+      return ResultScraper.loadSavedResults()
     } catch (error) {
       logger.warn(`Failed to load previous results: ${error.message}`)
     }
@@ -0,0 +1,107 @@
+/**
+ * Run Ledger
+ *
+ * Append-only record of every application attempt (account, issue, outcome,
+ * reference, time) so a re-run can skip what was already submitted
+ */
+
+import fs from "fs"
+import path from "path"
+import { logger } from "../utils/logger.js"
+
+const LEDGER_FILE_PATH = path.resolve(process.cwd(), "logs", "run-ledger.json")
+
+export const OUTCOMES = {
+  SUCCESS: "SUCCESS",
+  FAILED: "FAILED",
+  DRY_RUN: "DRY_RUN",
+  ALREADY_APPLIED: "ALREADY_APPLIED",
+  REJECTED: "REJECTED",
+  EDITED: "EDITED",
+}
+
+//outcomes that mean the account holds an application for the issue
+const SUBMITTED = [OUTCOMES.SUCCESS, OUTCOMES.ALREADY_APPLIED, OUTCOMES.EDITED]
+
+function sameIssue(a, b) {
+  return (a || "").toLowerCase().trim() === (b || "").toLowerCase().trim()
+}
+
+function matchesFilter(entry, { accounts = [], issue = null }) {
+  return (
+    (accounts.length === 0 || accounts.includes(entry.account)) &&
+    (!issue || `${entry.issue} ${entry.target}`.toLowerCase().includes(issue.toLowerCase()))
+  )
+}
+
+export class RunLedger {
+  constructor(filePath = LEDGER_FILE_PATH) {
+    this.filePath = filePath
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        return JSON.parse(fs.readFileSync(this.filePath, "utf8"))
+      }
+    } catch (error) {
+      logger.warn(`Failed to load run ledger: ${error.message}`)
+    }
+    return []
+  }
+
+  save(entries) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+    fs.writeFileSync(this.filePath, JSON.stringify(entries, null, 2))
+  }
+
+  /**
+   * issue is the name as listed on MeroShare, target the name from config
+   */
+  record({ account, issue, target, outcome, reference = null, message = null }) {
+    try {
+      const entries = this.load()
+      entries.push({
+        account,
+        issue,
+        target: target || issue,
+        outcome,
+        reference,
+        message,
+        time: new Date().toISOString(),
+      })
+      this.save(entries)
+    } catch (error) {
+      logger.error(`Failed to write run ledger: ${error.message}`)
+    }
+  }
+
+  /**
+   * Latest submission (or application found on MeroShare) for this account and issue, if any
+   */
+  findSubmitted(account, issueName) {
+    return (
+      this.load()
+        .filter((e) => e.account === account && SUBMITTED.includes(e.outcome))
+        .filter((e) => sameIssue(e.issue, issueName) || sameIssue(e.target, issueName))
+        .pop() || null
+    )
+  }
+
+  /**
+   * accounts: usernames to keep (all when empty), issue: case-insensitive substring
+   */
+  list(filter = {}) {
+    return this.load().filter((e) => matchesFilter(e, filter))
+  }
+
+  /**
+   * Remove matching entries, returns how many were removed
+   */
+  clear(filter = {}) {
+    const entries = this.load()
+    const kept = entries.filter((e) => !matchesFilter(e, filter))
+    this.save(kept)
+    return entries.length - kept.length
+  }
+}
@@ -1,12 +1,26 @@
 /**
  * Depository Participant Scraper
  *
- * Scrapes bank list from ASBA application form
+ * Scrapes the DP list from the login dropdown (no login needed) and caches
+ * it with names and codes so config can be checked without a browser
  */
 
+import fs from "fs"
+import path from "path"
 import { logger } from "../utils/logger.js"
 import { URLS, SELECTORS, TIMEOUTS } from "../config/constants.js"
 import { delay } from "../utils/helpers.js"
+import { extractDPCode, matchDP } from "../utils/dp-matcher.js"
+
+const DP_CACHE_PATH = path.resolve(process.cwd(), "logs", "dp-list.json")
+
+function toEntry(text) {
+  return {
+    name: text.replace(/\(\d+\)\s*$/, "").trim(),
+    code: extractDPCode(text),
+    text,
+  }
+}
 
 export class DPScraper {
   constructor(page, config) {
@@ -14,77 +28,75 @@ export class DPScraper {
     this.config = config
   }
 
-  async scrapeAllBanks() {
-    logger.info("Scraping bank list from ASBA page...")
-
+  /**
+   * { updatedAt, dps: [{ name, code, text }] } or null when never scraped
+   */
+  static loadCache() {
     try {
-      //firstlynavigate to  pasge if not already there
-      const currentUrl = this.page.url()
-      if (!currentUrl.includes("/asba")) {
-        logger.info("Navigating to ASBA page...")
-        await this.navigateToASBA()
+      if (fs.existsSync(DP_CACHE_PATH)) {
+        return JSON.parse(fs.readFileSync(DP_CACHE_PATH, "utf8"))
       }
-      await delay(2000)
-
-      //get banks from dropdown
-      const banks = await this.page.evaluate(() => {
-        const hiddenSelects = document.querySelectorAll("select.select2-hidden-accessible, select")
-
-        for (const select of hiddenSelects) {
-          const options = Array.from(select.options)
-            .filter((opt) => opt.value && opt.value !== "" && opt.textContent.trim())
-            .map((opt) => ({
-              value: opt.value,
-              text: opt.textContent.trim(),
-            }))
-          if (
-            options.length > 0 &&
-            options.some(
-              (o) =>
-                o.text.toLowerCase().includes("bank") ||
-                o.text.toLowerCase().includes("ltd") ||
-                o.text.toLowerCase().includes("limited"),
-            )
-          ) {
-            return options
-          }
-        }
+    } catch (error) {
+      logger.warn(`Failed to load DP list: ${error.message}`)
+    }
+    return null
+  }
 
-        return []
-      })
+  static saveCache(dps) {
+    const cache = { updatedAt: new Date().toISOString(), dps }
+    fs.writeFileSync(DP_CACHE_PATH, JSON.stringify(cache, null, 2))
+    return cache
+  }
 
-      if (banks.length === 0) {
-        logger.warn("No banks found in hidden selects, trying dropdown method...")
-        return await this.scrapeFromOpenDropdown() // alternative
-      }
+  /**
+   * Match a configured DP name or code against the cached list, throws like the login does
+   */
+  static findInCache(dpName, cache = DPScraper.loadCache()) {
+    if (!cache) return null
+    const text = matchDP(cache.dps.map((dp) => dp.text), dpName)
+    return cache.dps.find((dp) => dp.text === text)
+  }
 
-      logger.info(`Scraped ${banks.length} banks from ASBAs page`)
-      return banks
-    } catch (error) {
-      logger.error(`Failed to scrape bank list: ${error.message}`)
-      return []
+  /**
+   * A bare DP code becomes the cached display name, anything else is returned as is
+   */
+  static resolveName(dpName) {
+    if (!/^\s*\d{3,}\s*$/.test(dpName)) return dpName
+    try {
+      return DPScraper.findInCache(dpName)?.text || dpName
+    } catch {
+      return dpName
     }
   }
 
-  async navigateToASBA() {
-    try {
-      const asbaLink = await this.page.$(SELECTORS.NAV.ASBA_LINK)
-      if (asbaLink) {
-        await asbaLink.click()
-        await delay(2000)
-        logger.info("Navigated to ASBA via sidebar link")
-        return
-      }
-      await this.page.goto(URLS.ASBA, {
-        waitUntil: "networkidle2",
-        timeout: TIMEOUTS.LONG,
-      })
-      await delay(2000)
-      logger.info("Navigated to ASBA via URL")
-    } catch (error) {
-      logger.error(`Failed to navigate to ASBA: ${error.message}`)
-      throw error
+  async scrapeDPList() {
+    logger.info(`Opening login page: ${URLS.LOGIN}`)
+    await this.page.goto(URLS.LOGIN, {
+      waitUntil: "networkidle2",
+      timeout: this.config.navigationTimeout,
+    })
+    await this.page.waitForSelector(SELECTORS.LOGIN.DP_CONTAINER, { timeout: TIMEOUTS.LONG })
+    await delay(2000)
+
+    let texts = await this.page.evaluate((sel) => {
+      const select = document.querySelector(sel)
+      if (!select) return []
+      return Array.from(select.options)
+        .filter((opt) => opt.value && opt.textContent.trim())
+        .map((opt) => opt.textContent.trim())
+    }, SELECTORS.LOGIN.DP_HIDDEN_SELECT)
+
+    if (texts.length === 0) {
+      logger.warn("DP select has no options, reading the open dropdown instead...")
+      texts = await this.scrapeFromOpenDropdown()
     }
+    if (texts.length === 0) {
+      throw new Error("No DPs found in the login dropdown")
+    }
+
+    const dps = [...new Set(texts)].map(toEntry)
+    logger.info(`Scraped ${dps.length} DPs from the login page`)
+    return dps
   }
 
   /**
@@ -92,73 +104,24 @@ export class DPScraper {
    */
   async scrapeFromOpenDropdown() {
     try {
-      const containers = await this.page.$$(SELECTORS.SELECT2.CONTAINER)
-
-      if (containers.length === 0) {
-        logger.warn("No Select2 containers found on page")
-        return []
-      }
-      await containers[0].click()
-      await delay(1000)
-      try {
-        await this.page.waitForSelector(SELECTORS.SELECT2.OPTION, {
-          timeout: TIMEOUTS.SHORT,
-        })
-      } catch {
-        logger.warn("No dropdown options appeared")
-        await this.page.keyboard.press("Escape")
-        return []
-      }
-      const banks = await this.page.evaluate(() => {
-        const options = document.querySelectorAll(".select2-results__option")
-        return Array.from(options)
-          .filter((opt) => opt.textContent.trim())
-          .map((option, index) => ({
-            value: option.getAttribute("data-select2-id") || String(index),
-            text: option.textContent.trim(),
-          }))
+      await this.page.click(SELECTORS.LOGIN.DP_CONTAINER)
+      await this.page.waitForSelector(SELECTORS.SELECT2.OPTION, {
+        timeout: TIMEOUTS.SHORT,
       })
-      await this.page.keyboard.press("Escape")
-      await delay(500)
+      await delay(1000)
 
-      logger.info(`Scraped ${banks.length} options from dropdown`)
-      return banks
+      const texts = await this.page.evaluate(
+        (sel) =>
+          Array.from(document.querySelectorAll(sel))
+            .map((option) => option.textContent.trim())
+            .filter(Boolean),
+        SELECTORS.SELECT2.OPTION,
+      )
+      await this.page.keyboard.press("Escape")
+      return texts
     } catch (error) {
       logger.warn(`Dropdown scrape failed: ${error.message}`)
       return []
     }
   }
-
-  validateBankExists(bankName, bankList) {
-    if (bankList.length === 0) {
-      logger.warn("Bank list is empty, skipping validation")
-      return true
-    }
-
-    const normalized = bankName.toLowerCase().trim()
-    const match = bankList.find(
-      (bank) => bank.text.toLowerCase().trim() === normalized || bank.text.toLowerCase().includes(normalized),
-    )
-
-    if (!match) {
-      logger.warn(`Bank "${bankName}" not found in available options`)
-      logger.info(
-        "Available banks:",
-        bankList.slice(0, 10).map((b) => b.text),
-      )
-      return false
-    }
-
-    logger.info(`Bank validated: ${match.text}`)
-    return true
-  }
-
-  normalizeBankName(name) {
-    return name
-      .toLowerCase()
-      .trim()
-      .replace(/\s+/g, " ")
-      .replace(/limited/gi, "ltd")
-      .replace(/private/gi, "pvt")
-  }
 }
@@ -0,0 +1,106 @@
+/**
+ * Security Challenge Guard
+ *
+ * Spots CAPTCHAs, OTP prompts and bot-check interstitials before the flow
+ * types into a page it does not understand. Headless runs stop at once,
+ * a visible browser waits for a person to complete the challenge
+ */
+
+import { logger } from "../utils/logger.js"
+import { delay } from "../utils/helpers.js"
+import { ErrorClassifier } from "../errors/error-classifier.js"
+
+const CHALLENGE_POLL_MS = 2000
+
+const CHALLENGE_SELECTORS = {
+  CAPTCHA: [
+    'img[src*="captcha" i]',
+    ".captcha",
+    "#captcha",
+    'input[name*="captcha" i]',
+    ".g-recaptcha",
+    ".h-captcha",
+    'iframe[src*="recaptcha"]',
+    'iframe[src*="hcaptcha"]',
+    'iframe[src*="challenges.cloudflare.com"]',
+  ].join(", "),
+  OTP: [
+    'input[name*="otp" i]',
+    'input[id*="otp" i]',
+    'input[formcontrolname*="otp" i]',
+    'input[placeholder*="OTP"]',
+    'input[autocomplete="one-time-code"]',
+  ].join(", "),
+}
+
+//bot checks and block pages served instead of MeroShare
+const INTERSTITIAL_TEXT = /just a moment|checking your browser|verify you are (a )?human|are you a robot|attention required|access denied/i
+
+export class ChallengeGuard {
+  /**
+   * config: the run config, only headless and challengeWaitSeconds are read.
+   * Without both (a visible browser and a wait) every challenge fails fast
+   */
+  constructor(page, config = {}) {
+    this.page = page
+    this.waitSeconds = config.headless === false ? config.challengeWaitSeconds || 0 : 0
+  }
+
+  /**
+   * { type: "CAPTCHA" | "OTP" | "INTERSTITIAL", detail } or null
+   */
+  async detect() {
+    try {
+      return await this.page.evaluate(
+        (selectors, interstitial) => {
+          const visible = (el) => el && (el.offsetWidth > 0 || el.offsetHeight > 0)
+          for (const [type, selector] of Object.entries(selectors)) {
+            const el = Array.from(document.querySelectorAll(selector)).find(visible)
+            if (el) return { type, detail: el.outerHTML.slice(0, 120) }
+          }
+          const text = `${document.title} ${(document.body?.innerText || "").slice(0, 2000)}`
+          const match = text.match(new RegExp(interstitial, "i"))
+          return match ? { type: "INTERSTITIAL", detail: match[0] } : null
+        },
+        CHALLENGE_SELECTORS,
+        INTERSTITIAL_TEXT.source,
+      )
+    } catch (error) {
+      //page navigating away mid-check: nothing to judge yet
+      logger.debug(`Challenge check skipped: ${error.message}`)
+      return null
+    }
+  }
+
+  /**
+   * Throws SECURITY_INTERRUPTION unless no challenge is shown, or a person completes it in time
+   */
+  async check(stage) {
+    const challenge = await this.detect()
+    if (!challenge) return
+
+    const what = `${challenge.type} shown at ${stage}`
+    const metadata = { challenge: challenge.type, stage }
+    logger.warn(`Security challenge: ${what} (${challenge.detail})`)
+
+    if (this.waitSeconds <= 0) {
+      throw ErrorClassifier.create("SECURITY_INTERRUPTION", `${what}. Manual intervention required`, metadata)
+    }
+
+    logger.warn(`Complete it in the browser window, waiting up to ${this.waitSeconds}s...`)
+    const deadline = Date.now() + this.waitSeconds * 1000
+    while (Date.now() < deadline) {
+      await delay(CHALLENGE_POLL_MS)
+      if (!(await this.detect())) {
+        logger.info(`${challenge.type} completed, resuming`)
+        await delay(CHALLENGE_POLL_MS)
+        return
+      }
+    }
+    throw ErrorClassifier.create(
+      "SECURITY_INTERRUPTION",
+      `${what} was not completed within ${this.waitSeconds}s`,
+      metadata,
+    )
+  }
+}
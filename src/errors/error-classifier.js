@@ -5,6 +5,20 @@
 
 import { ERROR_CODES } from "../config/constants.js"
 
+//first match wins: MeroShare messages before generic browser failures
+const CLASSIFICATION_RULES = [
+  ["INSUFFICIENT_BALANCE", /insufficient (balance|fund)|not enough (balance|fund)/i],
+  ["INVALID_PIN", /(invalid|incorrect|wrong) (transaction )?pin|pin (is )?(invalid|incorrect|wrong)|pin does not match/i],
+  ["INVALID_CRN", /(invalid|incorrect|wrong) crn|crn( number)? (is )?(invalid|incorrect|not (valid|found|matched))/i],
+  ["ALREADY_APPLIED", /already (been )?applied|duplicate application/i],
+  ["ISSUE_CLOSED", /issue (is |has been )?closed|closed for application|not open for application|application period (is )?over/i],
+  ["SESSION_EXPIRED", /session (has )?(expired|timed? ?out)|token (has )?expired|unauthori[sz]ed|log ?in again/i],
+  ["NETWORK_ERROR", /net::ERR_|ECONNRESET|ECONNREFUSED|ENOTFOUND|ETIMEDOUT|socket hang up/i],
+  ["NAVIGATION_ERROR", /navigation timeout|failed to navigate|frame was detached|execution context was destroyed/i],
+  ["TIMEOUT_ERROR", /TimeoutError|timeout|timed out|\d+ ?ms exceeded/i],
+  ["SELECTOR_ERROR", /waiting for selector|no element found|failed to find element|not a valid selector|(button|element) not found/i],
+]
+
 export class ErrorClassifier {
   static create(errorType, message, metadata = {}) {
     const errorConfig = ERROR_CODES[errorType]
@@ -18,12 +32,36 @@ export class ErrorClassifier {
     error.category = errorConfig.category
     error.severity = errorConfig.severity
     error.retryable = errorConfig.retryable
+    error.hint = errorConfig.hint || null
     error.metadata = metadata
     error.timestamp = new Date().toISOString()
 
     return error
   }
 
+  /**
+   * ERROR_CODES key for an error or toast text, null when nothing matches
+   */
+  static classifyMessage(text) {
+    const rule = CLASSIFICATION_RULES.find(([, pattern]) => pattern.test(text))
+    return rule ? rule[0] : null
+  }
+
+  /**
+   * Coded copy of a plain Error (Puppeteer failure, wrapped toast text), coded errors are returned as is
+   */
+  static classify(error) {
+    if (error.code) return error
+
+    const type = ErrorClassifier.classifyMessage(`${error.name} ${error.message}`)
+    if (!type) return error
+
+    const classified = ErrorClassifier.create(type, error.message, { originalName: error.name })
+    classified.stack = error.stack
+    if (error.attempts) classified.attempts = error.attempts
+    return classified
+  }
+
   static isRetryable(error) {
     return error.retryable === true
   }
@@ -35,4 +73,11 @@ export class ErrorClassifier {
   static getSeverity(error) {
     return error.severity || "MEDIUM"
   }
+
+  /**
+   * Errors only the account holder can fix carry a hint with what to do
+   */
+  static needsUserAction(error) {
+    return Boolean(error.hint)
+  }
 }
@@ -9,7 +9,8 @@ import { ErrorClassifier } from "./error-classifier.js"
 import { captureScreenshot } from "../monitoring/screenshot.js"
 
 export class ErrorHandler {
-  static async handle(error, page = null) {
+  static async handle(caught, page = null) {
+    const error = ErrorClassifier.classify(caught)
     logger.error("Error occurred:", {
       message: error.message,
       code: error.code || "UNKNOWN",
@@ -27,10 +28,10 @@ export class ErrorHandler {
       }
     }
 
-    // if (error.category === "Security Challenge") {
-    //   logger.error("SECURITY CHALLENGE DETECTED")
-    //   logger.error("Manual intervention required. Cannot proceed with automation.")
-    // }
+    if (error.category === "Security Challenge") {
+      logger.error("SECURITY CHALLENGE DETECTED")
+      logger.error("Manual intervention required. Cannot proceed with automation.")
+    }
 
     return {
       success: false,
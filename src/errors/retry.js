@@ -0,0 +1,58 @@
+/**
+ * Retry Engine
+ *
+ * Reruns a step when the error is retryable, with exponential backoff and
+ * jitter. Errors that need the account holder are never retried
+ */
+
+import { logger } from "../utils/logger.js"
+import { delay } from "../utils/helpers.js"
+import { ErrorClassifier } from "./error-classifier.js"
+
+const BASE_DELAY_MS = 2000
+const MAX_DELAY_MS = 30000
+
+/**
+ * Timeouts, navigation and network failures, going by the classified error code
+ */
+export function isTransient(error) {
+  return ErrorClassifier.isRetryable(ErrorClassifier.classify(error))
+}
+
+/**
+ * Delay before the next attempt: doubles each time up to the cap, then a random
+ * point in its upper half so parallel accounts do not retry in step
+ */
+export function backoffDelay(attempt, baseMs = BASE_DELAY_MS, maxMs = MAX_DELAY_MS) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** (attempt - 1))
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2))
+}
+
+/**
+ * Run fn(attempt) up to `attempts` times. Failed attempts, and the success after
+ * one, are pushed to `log` as { step, attempt, ok, code, error, delayMs }; the
+ * final error carries the log as error.attempts. canRetry(error) can veto a retry
+ */
+export async function withRetry(step, fn, { attempts = 1, log = [], canRetry = () => true } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const value = await fn(attempt)
+      if (attempt > 1) log.push({ step, attempt, ok: true })
+      return value
+    } catch (caught) {
+      const error = ErrorClassifier.classify(caught)
+      const retry =
+        attempt < attempts && isTransient(error) && !ErrorClassifier.needsUserAction(error) && canRetry(error)
+      const delayMs = retry ? backoffDelay(attempt) : null
+      log.push({ step, attempt, ok: false, code: error.code || null, error: error.message, delayMs })
+
+      if (!retry) {
+        error.attempts = log
+        throw error
+      }
+      logger.warn(`${step} failed (attempt ${attempt}/${attempts}): ${error.message}`)
+      logger.warn(`Retrying ${step} in ${(delayMs / 1000).toFixed(1)}s...`)
+      await delay(delayMs)
+    }
+  }
+}
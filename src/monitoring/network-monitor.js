@@ -5,6 +5,7 @@
  */
 
 import { logger } from "../utils/logger.js"
+import { delay } from "../utils/helpers.js"
 
 export class NetworkMonitor {
   constructor(page) {
@@ -45,6 +46,7 @@ export class NetworkMonitor {
 
           this.responses.push({
             url: response.url(),
+            method: response.request().method(),
             status: response.status(),
             headers: response.headers(),
             data,
@@ -78,6 +80,28 @@ export class NetworkMonitor {
     return this.responses
   }
 
+  /**
+   * Latest response whose url matches `pattern` and that arrived at or after `since` (ms),
+   * waiting up to timeoutMs for it. Preflight OPTIONS requests are ignored
+   */
+  async waitForResponse(pattern, { since = 0, timeoutMs = 15000 } = {}) {
+    const deadline = Date.now() + timeoutMs
+    for (;;) {
+      const match = this.responses
+        .filter((r) => r.method !== "OPTIONS" && pattern.test(r.url) && Date.parse(r.timestamp) >= since)
+        .pop()
+      if (match || Date.now() >= deadline) return match || null
+      await delay(500)
+    }
+  }
+
+  /**
+   * 5xx responses, a sign of MeroShare being down or overloaded
+   */
+  getServerErrors() {
+    return this.responses.filter((r) => r.status >= 500)
+  }
+
   clearHistory() {
     this.requests = []
     this.responses = []
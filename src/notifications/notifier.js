@@ -7,6 +7,18 @@
 import axios from "axios"
 import { logger } from "../utils/logger.js"
 import { sanitize } from "../security/sanitizer.js"
+import { ERROR_CODES } from "../config/constants.js"
+
+function resultStatus(result) {
+  if (result.notAttempted) return "NOT_ATTEMPTED"
+  if (result.skipped) return "SKIPPED"
+  if (result.rejected) return "REJECTED"
+  if (result.alreadyApplied) return "ALREADY_APPLIED"
+  if (result.dryRun) return "DRY_RUN"
+  if (result.success && result.action === "edit") return "EDITED"
+  if (result.success) return result.verified ? "SUCCESS" : "SUBMITTED_UNVERIFIED"
+  return result.code === ERROR_CODES.ISSUE_CLOSED.code ? "CLOSED" : "FAILED"
+}
 
 export class Notifier {
   constructor(config) {
@@ -30,7 +42,10 @@ export class Notifier {
     }
   }
 
-  async sendBatch(results) {
+  /**
+   * extra.outage: the run's MeroShare outage, reported once for all accounts
+   */
+  async sendBatch(results, { outage = null } = {}) {
     if (!this.config.notificationEnabled) return
 
     try {
@@ -43,11 +58,18 @@ export class Notifier {
           total: results.length,
           successful: successful.length,
           failed: failed.length,
+          outage,
           results: results.map((r) => ({
             account: r.account,
-            status: r.success ? "SUCCESS" : "FAILED",
+            issue: r.details?.issue || null,
+            status: resultStatus(r),
             referenceId: r.referenceId || null,
+            reportStatus: r.verification?.status || null,
             error: r.error || null,
+            code: r.code || null,
+            category: r.category || null,
+            action: r.hint || null,
+            attempts: r.attempts || [],
           })),
           timestamp: new Date().toISOString(),
         },
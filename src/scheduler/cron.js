@@ -0,0 +1,111 @@
+/**
+ * Cron Expressions in Nepal Time
+ *
+ * Standard 5-field cron (minute hour day-of-month month day-of-week)
+ * evaluated in Asia/Kathmandu (UTC+5:45, no DST) whatever the host zone is
+ */
+
+export const NEPAL_OFFSET_MINUTES = 5 * 60 + 45
+
+const MINUTE_MS = 60 * 1000
+const NEPAL_OFFSET_MS = NEPAL_OFFSET_MINUTES * MINUTE_MS
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+]
+
+//search limit: a valid expression always fires within a few years (Feb 29)
+const MAX_SEARCH_DAYS = 366 * 5
+
+function parseField(text, { name, min, max }) {
+  const values = new Set()
+
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/")
+    const step = stepText === undefined ? 1 : Number(stepText)
+    if (!Number.isInteger(step) || step <= 0) {
+      throw new Error(`Invalid step "${stepText}" in ${name} field`)
+    }
+
+    let start = min
+    let end = max
+    if (range !== "*") {
+      const [from, to] = range.split("-")
+      start = Number(from)
+      end = to === undefined ? (stepText === undefined ? start : max) : Number(to)
+    }
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid value "${part}" in ${name} field (allowed ${min}-${max})`)
+    }
+
+    for (let v = start; v <= end; v += step) values.add(v)
+  }
+
+  return values
+}
+
+export function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/)
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields: minute hour day month weekday`)
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]))
+  if (weekdays.has(7)) weekdays.add(0) //7 is also Sunday
+
+  return {
+    expression,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    //classic cron: when both day fields are restricted either one may match
+    anyDay: parts[2] !== "*" && parts[4] !== "*",
+  }
+}
+
+function dayMatches(cron, nepalTime) {
+  const dom = cron.days.has(nepalTime.getUTCDate())
+  const dow = cron.weekdays.has(nepalTime.getUTCDay())
+  return cron.anyDay ? dom || dow : dom && dow
+}
+
+/**
+ * First time strictly after `from` that matches, as a real Date
+ */
+export function nextRun(cron, from = new Date()) {
+  //work on a Date shifted to Nepal wall-clock time and read it with UTC getters
+  const t = new Date(Math.floor((from.getTime() + NEPAL_OFFSET_MS) / MINUTE_MS) * MINUTE_MS + MINUTE_MS)
+  const limit = t.getTime() + MAX_SEARCH_DAYS * 24 * 60 * MINUTE_MS
+
+  while (t.getTime() <= limit) {
+    if (!cron.months.has(t.getUTCMonth() + 1) || !dayMatches(cron, t)) {
+      t.setUTCHours(24, 0, 0, 0)
+      continue
+    }
+    if (!cron.hours.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0, 0, 0)
+      continue
+    }
+    if (!cron.minutes.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1, 0, 0)
+      continue
+    }
+    return new Date(t.getTime() - NEPAL_OFFSET_MS)
+  }
+
+  throw new Error(`Cron expression "${cron.expression}" never fires`)
+}
+
+/**
+ * "2026-10-19 17:00 NPT" for logs
+ */
+export function formatNepalTime(date) {
+  const nepal = new Date(date.getTime() + NEPAL_OFFSET_MS)
+  return `${nepal.toISOString().slice(0, 16).replace("T", " ")} NPT`
+}
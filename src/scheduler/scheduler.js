@@ -0,0 +1,173 @@
+/**
+ * Job Scheduler
+ *
+ * Runs apply/results jobs on cron expressions in Nepal time from one
+ * long-lived process and keeps a last-run record per job on disk
+ */
+
+import fs from "fs"
+import path from "path"
+import { logger } from "../utils/logger.js"
+import { delay } from "../utils/helpers.js"
+import { parseCron, nextRun, formatNepalTime } from "./cron.js"
+
+export const SCHEDULABLE_COMMANDS = ["apply", "results"]
+
+const STATE_FILE_PATH = path.resolve(process.cwd(), "logs", "scheduler-state.json")
+
+//wake up at least this often so a sleeping host clock jump is noticed
+const MAX_SLEEP_MS = 60 * 1000
+
+/**
+ * Same rule as --kitta: a positive whole number, checked now rather than when the job fires
+ */
+function parseKitta(value) {
+  const kitta = Number.parseInt(value, 10)
+  if (isNaN(kitta) || kitta <= 0 || String(kitta) !== String(value).trim()) {
+    throw new Error(`kitta must be a positive whole number, got "${value}"`)
+  }
+  return kitta
+}
+
+/**
+ * SCHEDULE=[{"name":"results","command":"results","cron":"0 17 * * *"}]
+ * A job may also set account, issue, kitta, dryRun, resume and reapply like the CLI flags
+ */
+export function parseJobs(value) {
+  if (!value) return []
+
+  let jobs
+  try {
+    jobs = typeof value === "string" ? JSON.parse(value) : value
+  } catch {
+    throw new Error("SCHEDULE must be valid JSON. Check your .env file.")
+  }
+  if (!Array.isArray(jobs)) {
+    throw new Error("SCHEDULE must be a JSON array of jobs")
+  }
+
+  const names = new Set()
+  return jobs.map((job, i) => {
+    const name = job.name || `${job.command}-${i + 1}`
+    if (names.has(name)) throw new Error(`Schedule job name "${name}" is used twice`)
+    names.add(name)
+
+    if (!SCHEDULABLE_COMMANDS.includes(job.command)) {
+      throw new Error(`Schedule job "${name}": command must be one of ${SCHEDULABLE_COMMANDS.join(", ")}`)
+    }
+    try {
+      return {
+        name,
+        command: job.command,
+        cron: parseCron(job.cron),
+        overrides: {
+          account: job.account !== undefined ? String(job.account) : undefined,
+          targetIssueName: job.issue,
+          appliedKitta: job.kitta !== undefined ? parseKitta(job.kitta) : undefined,
+          dryRun: job.dryRun === true,
+          resume: job.resume === true,
+          reapply: job.reapply === true,
+        },
+      }
+    } catch (error) {
+      throw new Error(`Schedule job "${name}": ${error.message}`)
+    }
+  })
+}
+
+export class Scheduler {
+  /**
+   * runJob(job) runs one command and resolves to its exit code
+   */
+  constructor(jobs, runJob) {
+    this.jobs = jobs
+    this.runJob = runJob
+    this.stopped = false
+    this.state = this.loadState()
+  }
+
+  loadState() {
+    try {
+      if (fs.existsSync(STATE_FILE_PATH)) {
+        return JSON.parse(fs.readFileSync(STATE_FILE_PATH, "utf8"))
+      }
+    } catch (error) {
+      logger.warn(`Failed to load scheduler state: ${error.message}`)
+    }
+    return {}
+  }
+
+  saveState() {
+    try {
+      fs.writeFileSync(STATE_FILE_PATH, JSON.stringify(this.state, null, 2))
+    } catch (error) {
+      logger.error(`Failed to save scheduler state: ${error.message}`)
+    }
+  }
+
+  async start() {
+    if (this.jobs.length === 0) {
+      throw new Error("No jobs configured. Set SCHEDULE in your .env file.")
+    }
+
+    const now = new Date()
+    const due = new Map(this.jobs.map((job) => [job.name, nextRun(job.cron, now)]))
+
+    logger.info("================================================================")
+    logger.info("  SCHEDULER (Asia/Kathmandu)")
+    logger.info("================================================================")
+    for (const job of this.jobs) {
+      const last = this.state[job.name]?.lastRun
+      logger.info(`  ${job.name}: ${job.command} "${job.cron.expression}"`)
+      logger.info(`      next ${formatNepalTime(due.get(job.name))}${last ? `, last ${formatNepalTime(new Date(last))}` : ""}`)
+    }
+    logger.info("================================================================")
+
+    while (!this.stopped) {
+      const [job, at] = [...due.entries()]
+        .map(([name, time]) => [this.jobs.find((j) => j.name === name), time])
+        .sort((a, b) => a[1] - b[1])[0]
+
+      const wait = at.getTime() - Date.now()
+      if (wait > 0) {
+        await delay(Math.min(wait, MAX_SLEEP_MS))
+        continue
+      }
+
+      await this.run(job, at)
+      due.set(job.name, nextRun(job.cron, new Date()))
+      logger.info(`Next ${job.name}: ${formatNepalTime(due.get(job.name))}`)
+    }
+  }
+
+  async run(job, scheduledFor) {
+    logger.info(`Running scheduled job ${job.name} (${job.command}) for ${formatNepalTime(scheduledFor)}`)
+    const startedAt = new Date()
+
+    let exitCode
+    let error = null
+    try {
+      exitCode = await this.runJob(job)
+    } catch (e) {
+      exitCode = 2
+      error = e.message
+      logger.error(`Scheduled job ${job.name} failed: ${e.message}`)
+    }
+
+    this.state[job.name] = {
+      command: job.command,
+      cron: job.cron.expression,
+      scheduledFor: scheduledFor.toISOString(),
+      lastRun: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      exitCode,
+      error,
+    }
+    this.saveState()
+    logger.info(`Scheduled job ${job.name} finished with exit code ${exitCode}`)
+  }
+
+  stop() {
+    this.stopped = true
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Depository Participant Matching
+ *
+ * Scores every DP option against the configured name so a typo never
+ * silently logs into another DP
+ */
+
+//below this score an option is not considered a match at all
+const MIN_SCORE = 60
+
+export function extractDPCode(text) {
+  const match = String(text).match(/\((\d{3,})\)|^\s*(\d{3,})\s*$/)
+  return match ? match[1] || match[2] : null
+}
+
+export function normalizeDPName(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/\(\d+\)/g, " ")
+    .replace(/\blimited\b/g, "ltd")
+    .replace(/\bprivate\b/g, "pvt")
+    .replace(/[^a-z0-9 ]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+}
+
+/**
+ * 0-100: same code or same normalized name is 100, otherwise word overlap
+ */
+export function scoreDP(optionText, wanted) {
+  const wantedCode = extractDPCode(wanted)
+  const optionCode = extractDPCode(optionText)
+  if (wantedCode) {
+    return wantedCode === optionCode ? 100 : 0
+  }
+
+  const a = normalizeDPName(optionText)
+  const b = normalizeDPName(wanted)
+  if (!a || !b) return 0
+  if (a === b) return 100
+
+  const optionWords = new Set(a.split(" "))
+  const wantedWords = new Set(b.split(" "))
+  const common = [...wantedWords].filter((w) => optionWords.has(w)).length
+  const union = new Set([...optionWords, ...wantedWords]).size
+
+  //every configured word present (a shortened name) ranks above a partial overlap
+  const bonus = common === wantedWords.size ? 20 : 0
+  return Math.min(99, Math.round((common / union) * 80) + bonus)
+}
+
+/**
+ * Best option for the configured DP; throws on no match or a tie, listing the closest ones
+ */
+export function matchDP(options, wanted) {
+  const scored = options
+    .map((text) => ({ text, score: scoreDP(text, wanted) }))
+    .sort((x, y) => y.score - x.score)
+
+  const closest = scored
+    .slice(0, 3)
+    .filter((o) => o.score > 0)
+    .map((o) => `"${o.text}"`)
+    .join(", ")
+  const [best, second] = scored
+
+  if (!best || best.score < MIN_SCORE) {
+    throw new Error(`No DP matches "${wanted}"${closest ? `. Closest: ${closest}` : ""}`)
+  }
+  if (second && second.score === best.score) {
+    const tied = scored.filter((o) => o.score === best.score).map((o) => `"${o.text}"`)
+    throw new Error(`"${wanted}" matches several DPs equally well: ${tied.join(", ")}. Use the full name or DP code`)
+  }
+  return best.text
+}
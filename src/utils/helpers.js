@@ -7,6 +7,24 @@ export async function delay(minMs, maxMs = null) {
   return new Promise((resolve) => setTimeout(resolve, ms))
 }
 
+/**
+ * Run worker over items with at most `limit` running at once, results keep item order
+ */
+export async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length)
+  let next = 0
+
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await worker(items[index], index)
+    }
+  })
+
+  await Promise.all(runners)
+  return results
+}
+
 export function formatDate(date) {
   return new Date(date).toISOString().split("T")[0]
 }
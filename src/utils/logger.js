@@ -7,6 +7,7 @@
 
 import winston from "winston"
 import { existsSync, mkdirSync } from "fs"
+import { AsyncLocalStorage } from "async_hooks"
 import { sanitize } from "../security/sanitizer.js"
 
 const { combine, timestamp, printf, colorize } = winston.format
@@ -16,8 +17,12 @@ if (!existsSync(logsDir)) {
   mkdirSync(logsDir, { recursive: true })
 }
 
+//per-account prefix that follows async work, so parallel accounts stay readable
+const logContext = new AsyncLocalStorage()
+
 const customFormat = printf(({ level, message, timestamp, ...metadata }) => {
-  let msg = `${timestamp} [${level}]: ${message}`
+  const prefix = logContext.getStore()?.prefix
+  let msg = `${timestamp} [${level}]: ${prefix ? `${prefix} ` : ""}${message}`
 
   if (Object.keys(metadata).length > 0) {
     //sanitize metadatasbefore logging
@@ -48,6 +53,25 @@ export const logger = winston.createLogger({
   exitOnError: false,
 })
 
+/**
+ * Run fn with every log line it produces (including awaited work) prefixed
+ */
+export function withLogPrefix(prefix, fn) {
+  return prefix ? logContext.run({ prefix }, fn) : fn()
+}
+
+/**
+ * Send console logs to stderr so stdout only carries command output (--json)
+ */
+export function redirectConsoleToStderr() {
+  const levels = Object.fromEntries(Object.keys(logger.levels).map((level) => [level, true]))
+  logger.transports
+    .filter((transport) => transport instanceof winston.transports.Console)
+    .forEach((transport) => {
+      transport.stderrLevels = levels
+    })
+}
+
 process.on("uncaughtException", (error) => {
   logger.error("Uncaught Exception:", { message: error.message, stack: error.stack })
   process.exit(1)